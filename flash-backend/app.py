@@ -1,15 +1,17 @@
 from __future__ import annotations
 import os
 import json
+import hashlib
 import uuid
 import time
 import re
 import difflib
+import shutil
 from typing import Dict, Any
 
-from fastapi import FastAPI, Request, UploadFile, File, Body, HTTPException
+from fastapi import FastAPI, Request, UploadFile, File, Body, Header, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
-from fastapi.responses import JSONResponse
+from fastapi.responses import JSONResponse, FileResponse
 
 # ---------------- helpers: tokenization & normalization ----------------
 EN_STOP = set("""
@@ -33,6 +35,56 @@ def _resolve_cards_path(name: str | None) -> str:
         raise HTTPException(status_code=400, detail="Invalid deck name/path.")
     return full
 
+# card media live next to their deck: <deck>.media/<file>, referenced from cards as media/<file>
+MEDIA_MAX_BYTES = int(os.getenv("MEDIA_MAX_BYTES", str(20 * 1024 * 1024)))
+MEDIA_TYPES = {
+    ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif", ".webp": "image/webp",
+    ".mp3": "audio/mpeg", ".m4a": "audio/mp4", ".aac": "audio/aac", ".ogg": "audio/ogg", ".oga": "audio/ogg",
+    ".opus": "audio/ogg", ".wav": "audio/wav", ".webm": "audio/webm",
+}
+
+def _resolve_media_path(name: str | None, filename: str = "") -> str:
+    """Media folder of a deck (or a file in it), inside CARDS_BASE_DIR."""
+    folder = _resolve_cards_path(name)[: -len(".json")] + ".media"
+    fname = os.path.basename(filename)
+    return os.path.join(folder, fname) if fname else folder
+
+# per-person progress overlays: progress/<profile>/<deck>.json (content stays in the shared deck)
+PROFILE_RE = re.compile(r"^[\w-]{1,40}$")
+
+def _resolve_progress_path(profile: str | None, name: str | None) -> str:
+    if not profile or not PROFILE_RE.match(profile):
+        raise HTTPException(status_code=400, detail="Invalid profile name.")
+    deck = os.path.basename(_resolve_cards_path(name))
+    return os.path.join(os.path.realpath(CARDS_BASE_DIR), "progress", profile, deck)
+
+def _deck_rev(path: str) -> str:
+    """Revision of a deck file = hash of its bytes ("0" when it does not exist yet)."""
+    try:
+        with open(path, "rb") as f:
+            return hashlib.sha256(f.read()).hexdigest()[:16]
+    except FileNotFoundError:
+        return "0"
+
+def _write_if_match(path: str, payload: Dict[str, Any], if_match: str | None, key: str) -> JSONResponse:
+    """Write JSON unless If-Match names an older revision; then 409 with the current file under `key`."""
+    current = _deck_rev(path)
+    expected = (if_match or "").removeprefix("W/").strip('"')
+    # a file deleted since it was loaded is simply recreated
+    if if_match and expected not in ("*", current) and current != "0":
+        with open(path, "r", encoding="utf-8") as f:
+            existing = json.load(f)
+        return JSONResponse(
+            {"ok": False, "error": "conflict", "rev": current, key: existing},
+            status_code=409,
+            headers={"ETag": f'"{current}"'},
+        )
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    with open(path, "w", encoding="utf-8") as f:
+        json.dump(payload, f, ensure_ascii=False, indent=2)
+    rev = _deck_rev(path)
+    return JSONResponse({"ok": True, "path": path, "rev": rev}, headers={"ETag": f'"{rev}"'})
+
 def normalize(txt: str) -> str:
     # lower, remove punctuation but keep CJK chars
     return re.sub(r"\s+", " ", re.sub(r"[^\w\u4e00-\u9fff]+", " ", txt.lower())).strip()
@@ -47,6 +99,69 @@ def tokens(txt: str):
     return cjk + latin
 
 
+# ---------------- pronunciation: word-level alignment ----------------
+def pron_words(txt: str):
+    # every word counts when reading aloud (no stop words); CJK characters one by one
+    return re.findall(r"[\u4e00-\u9fff]|[^\W\u4e00-\u9fff]+", txt or "")
+
+
+def align_words(expected: str, heard: str):
+    """
+    Align what was heard against the expected text, word by word.
+    Returns (words, extra): words = [{word, status: ok | close | miss, heard?}] in expected
+    order, extra = heard words with nothing to match.
+    """
+    exp, got = pron_words(expected), pron_words(heard)
+    a, b = [w.lower() for w in exp], [w.lower() for w in got]
+    words, extra = [], []
+    for op, i1, i2, j1, j2 in difflib.SequenceMatcher(None, a, b, autojunk=False).get_opcodes():
+        if op == "equal":
+            words += [{"word": exp[i], "status": "ok"} for i in range(i1, i2)]
+        elif op == "insert":
+            extra += got[j1:j2]
+        else:  # replace / delete: pair words up in order, the rest is missing (or extra)
+            for k, i in enumerate(range(i1, i2)):
+                h = got[j1 + k] if j1 + k < j2 else None
+                close = h is not None and difflib.SequenceMatcher(None, a[i], h.lower()).ratio() >= 0.75
+                words.append({"word": exp[i], "status": "close" if close else "miss", **({"heard": h} if h else {})})
+            extra += got[j1 + (i2 - i1):j2]
+    return words, extra
+
+
+def pronunciation_result(it: Dict[str, Any], transcript: str, got_audio: bool) -> Dict[str, Any]:
+    expected = it.get("front") or ""
+    words, extra = align_words(expected, transcript)
+    credit = sum(1.0 if w["status"] == "ok" else 0.5 if w["status"] == "close" else 0.0 for w in words)
+    match = credit / (len(words) + 0.5 * len(extra)) if words else 0.0
+    sim = difflib.SequenceMatcher(None, normalize(expected), normalize(transcript)).ratio() if transcript else 0.0
+    score = round(0.7 * match + 0.3 * sim, 3)
+
+    if not got_audio:
+        feedback = "No audio captured — re-record this card."
+    elif not normalize(transcript):
+        feedback = "Audio present but empty transcript (check mic or speak louder)."
+    elif score >= 0.85:
+        feedback = "Clear — every word came through."
+    elif score >= 0.6:
+        feedback = "Close: practise the highlighted words."
+    else:
+        feedback = "Hard to make out: listen to the reference and try again slowly."
+
+    return {
+        "id": it.get("id"),
+        "front": expected,
+        "back": it.get("back"),
+        "durationSec": it.get("durationSec"),
+        "has_audio": got_audio,
+        "transcript": transcript,
+        "similarity": round(sim, 3),
+        "words": words,
+        "extra_words": extra,
+        "feedback": feedback,
+        "score": score,
+    }
+
+
 # ---------------- optional Whisper STT ----------------
 USE_WHISPER = os.getenv("USE_WHISPER", "0") == "1"
 try:
@@ -108,9 +223,13 @@ async def transcribe(file: UploadFile = File(...)):
 async def process_test(request: Request):
     """
     Accepts multipart form-data with fields:
-      - meta: JSON string containing rubric, flashcards, deckRaw, and items[]
+      - meta: JSON string containing rubric, flashcards, deckRaw, items[] and
+        mode ("meaning", the default: say the back; "pronounce": read the front aloud)
       - audio_<card.id>: UploadFile blobs for each card
-    Returns: JSON summary with per-card scoring & feedback.
+      - transcript_<card.id>: optional text used instead of the stub transcript when
+        Whisper is off, so scoring can be exercised offline
+    Returns: JSON summary with per-card scoring & feedback; each result's "stt" says
+    where its transcript came from (whisper | stub | given).
     """
     form = await request.form()
 
@@ -149,24 +268,36 @@ async def process_test(request: Request):
 
     # --- STT pass (Whisper or stub) ---
     transcripts: Dict[str, str] = {}
+    stt: Dict[str, str] = {}
     if USE_WHISPER and _whisper_model is not None:
         for it in saved:
+            stt[it["card_id"]] = "whisper"
             try:
                 result = _whisper_model.transcribe(it["path"])  # type: ignore
                 transcripts[it["card_id"]] = (result.get("text") or "").strip()
             except Exception as e:
                 transcripts[it["card_id"]] = f"[whisper error] {e}"
     else:
+        given = {str(k).replace("transcript_", "", 1): str(v)
+                 for k, v in form.multi_items() if str(k).startswith("transcript_")}
         for it in saved:
-            transcripts[it["card_id"]
-                        ] = f"[stub transcript for {it['filename']}]"
+            cid = it["card_id"]
+            if cid in given:
+                transcripts[cid], stt[cid] = given[cid].strip(), "given"
+            else:
+                transcripts[cid], stt[cid] = f"[stub transcript for {it['filename']}]", "stub"
 
-    # --- Rule-based scoring: keyword coverage + similarity ---
+    # --- Rule-based scoring: keyword coverage + similarity, or word alignment ---
     items = meta.get("items", [])
+    mode = meta.get("mode") or "meaning"
     results = []
 
     for it in items:
         cid = it.get("id")
+        if mode == "pronounce":
+            got = any(s["card_id"] == cid for s in saved)
+            results.append({**pronunciation_result(it, transcripts.get(cid, ""), got), "stt": stt.get(cid)})
+            continue
         gold = it.get("back") or ""
         gold_norm = normalize(gold)
         gold_kw = set(tokens(gold))
@@ -215,6 +346,7 @@ async def process_test(request: Request):
             "extra_terms": extra,
             "feedback": feedback,
             "score": score,
+            "stt": stt.get(cid),
         })
 
     payload = {
@@ -225,6 +357,7 @@ async def process_test(request: Request):
         "meta": {
             "rubric": meta.get("rubric"),
             "flashcards": meta.get("flashcards"),
+            "mode": mode,
             "num_items": len(items),
         },
         "results": results,
@@ -237,25 +370,82 @@ async def get_cards(name: str | None = None):
     """
     Read a deck JSON from CARDS_BASE_DIR. Use ?name=deck1 (-> deck1.json).
     If name is omitted, uses $CARDS_DEFAULT_NAME (default 'cards.json').
+    The deck revision is sent as the ETag header; send it back as If-Match when saving.
     """
     path = _resolve_cards_path(name)
+    rev = _deck_rev(path)
     try:
         with open(path, "r", encoding="utf-8") as f:
-            return json.load(f)
+            deck = json.load(f)
     except FileNotFoundError:
-        return {"cards": [], "hard": [], "know": [], "mark": [], "_file": path}
+        deck = {"cards": [], "hard": [], "know": [], "mark": [], "_file": path}
+    return JSONResponse(deck, headers={"ETag": f'"{rev}"', "Cache-Control": "no-cache"})
 
 
 @app.put("/fcasset/api/cards")
-async def write_cards(payload: Dict[str, Any] = Body(...), name: str | None = None):
+async def write_cards(
+    payload: Dict[str, Any] = Body(...),
+    name: str | None = None,
+    if_match: str | None = Header(default=None),
+):
     """
     Write a deck JSON to CARDS_BASE_DIR. Use ?name=deck1 (-> deck1.json).
+    With If-Match: <rev>, a save based on an older revision is rejected with 409
+    and the current deck + rev, so the client can merge and retry.
+    Without If-Match the file is overwritten (older clients).
     """
-    path = _resolve_cards_path(name)
+    return _write_if_match(_resolve_cards_path(name), payload, if_match, "deck")
+
+
+@app.post("/fcasset/api/media")
+async def upload_media(file: UploadFile = File(...), name: str | None = None):
+    """
+    Store an image / audio clip for a deck (?name=deck1 -> deck1.media/).
+    Files are named by content hash, so re-uploading the same file is a no-op.
+    Returns {path: "media/<file>"} for use in card Markdown.
+    """
+    ext = os.path.splitext(file.filename or "")[1].lower()
+    if ext not in MEDIA_TYPES:
+        raise HTTPException(status_code=415, detail=f"Unsupported media type '{ext or '?'}'.")
+    data = await file.read()
+    if len(data) > MEDIA_MAX_BYTES:
+        raise HTTPException(status_code=413, detail=f"File is larger than {MEDIA_MAX_BYTES // (1024 * 1024)} MB.")
+    stem = re.sub(r"[^\w-]+", "_", os.path.splitext(os.path.basename(file.filename or "file"))[0])[:40]
+    fname = f"{hashlib.sha256(data).hexdigest()[:12]}-{stem}{ext}"
+    path = _resolve_media_path(name, fname)
     os.makedirs(os.path.dirname(path), exist_ok=True)
-    with open(path, "w", encoding="utf-8") as f:
-        json.dump(payload, f, ensure_ascii=False, indent=2)
-    return {"ok": True, "path": path}
+    if not os.path.exists(path):
+        with open(path, "wb") as f:
+            f.write(data)
+    return {"ok": True, "path": f"media/{fname}", "bytes": len(data)}
+
+
+@app.post("/fcasset/api/media/copy")
+async def copy_media(src: str, dest: str):
+    """
+    Copy a deck's media into another deck's folder (?src=deck1&dest=deck2), for a deck saved
+    under a new name. Names are content hashes, so files already there are skipped.
+    """
+    a, b = _resolve_media_path(src), _resolve_media_path(dest)
+    copied = 0
+    if os.path.isdir(a) and a != b:
+        os.makedirs(b, exist_ok=True)
+        for fname in os.listdir(a):
+            if os.path.splitext(fname)[1].lower() in MEDIA_TYPES and not os.path.exists(os.path.join(b, fname)):
+                shutil.copyfile(os.path.join(a, fname), os.path.join(b, fname))
+                copied += 1
+    return {"ok": True, "copied": copied}
+
+
+@app.get("/fcasset/api/media/{name}/{filename}")
+async def get_media(name: str, filename: str):
+    path = _resolve_media_path(name, filename)
+    media_type = MEDIA_TYPES.get(os.path.splitext(path)[1].lower())
+    if not media_type or not os.path.isfile(path):
+        raise HTTPException(status_code=404, detail="Media not found.")
+    # content-addressed names never change
+    return FileResponse(path, media_type=media_type, headers={"Cache-Control": "public, max-age=31536000, immutable"})
+
 
 @app.get("/fcasset/api/cards/list")
 async def list_cards():
@@ -271,6 +461,68 @@ async def list_cards():
         "default": DEFAULT_CARDS_NAME if DEFAULT_CARDS_NAME.endswith(".json") else f"{DEFAULT_CARDS_NAME}.json",
     }
 
+# library summaries, re-read only when a deck file changes: path -> (mtime, summary)
+_library_cache: Dict[str, Any] = {}
+
+@app.get("/fcasset/api/library")
+async def library():
+    """
+    Shared decks in CARDS_BASE_DIR with a summary each:
+    {decks: [{name, file, cards, description, updatedAt (epoch ms), rev}]}.
+    """
+    try:
+        files = sorted(f for f in os.listdir(CARDS_BASE_DIR) if f.lower().endswith(".json"))
+    except FileNotFoundError:
+        files = []
+    decks = []
+    for f in files:
+        path = os.path.join(CARDS_BASE_DIR, f)
+        mtime = os.path.getmtime(path)
+        hit = _library_cache.get(path)
+        if not hit or hit[0] != mtime:
+            try:
+                with open(path, "r", encoding="utf-8") as fh:
+                    deck = json.load(fh)
+            except (OSError, ValueError):
+                continue
+            if not isinstance(deck, dict):
+                continue
+            hit = (mtime, {
+                "name": f[: -len(".json")],
+                "file": f,
+                "cards": len(deck.get("cards") or []),
+                "description": str(deck.get("description") or ""),
+                "updatedAt": int(mtime * 1000),
+                "rev": _deck_rev(path),
+            })
+            _library_cache[path] = hit
+        decks.append(hit[1])
+    return {"decks": decks}
+
+
+@app.get("/fcasset/api/progress")
+async def get_progress(name: str, profile: str):
+    """One profile's progress overlay for a deck ({cards: {}} until first saved); ETag as for decks."""
+    path = _resolve_progress_path(profile, name)
+    rev = _deck_rev(path)
+    try:
+        with open(path, "r", encoding="utf-8") as f:
+            progress = json.load(f)
+    except FileNotFoundError:
+        progress = {"deck": name, "profile": profile, "cards": {}}
+    return JSONResponse(progress, headers={"ETag": f'"{rev}"', "Cache-Control": "no-cache"})
+
+
+@app.put("/fcasset/api/progress")
+async def write_progress(
+    name: str,
+    profile: str,
+    payload: Dict[str, Any] = Body(...),
+    if_match: str | None = Header(default=None),
+):
+    """Save a progress overlay; a stale If-Match gets 409 with {rev, progress} (the client merges and resends)."""
+    return _write_if_match(_resolve_progress_path(profile, name), payload, if_match, "progress")
+
 if __name__ == "__main__":
     import uvicorn
     uvicorn.run(app, host="0.0.0.0", port=int(os.getenv("PORT", 7861)))
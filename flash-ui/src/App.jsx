@@ -1,149 +1,1274 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
 import { useSwipeable } from "react-swipeable";
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+import katex from "katex";
+import "katex/dist/katex.min.css";
+import {
+  clearRecordings, deckRecordings, deleteDeck, getDeck, listDeckNames, load, markRecordingsGraded, putDeck, putRecording, save,
+} from "./storage.js";
+import {
+  IMPORT_FIELDS, REVIEW_LOG_MAX, SAMPLE, cardsFromDeckJson, clozeIndexes, deckFromJson, deckToJson,
+  expandCloze, facesOf, fixText, frontKey, groupSiblings, guessMapping, looksLikeHeader, newCard, parseDeck,
+  parseDelimited, parseTags, plainText, planImport, rowToFields, sideText, sniffDelimiter, spokenText, viewDirs,
+} from "./deck.js";
+import {
+  DAY_MS, DEFAULT_LIMITS, DEFAULT_SCHEDULER, DIRECTIONS, FSRS_DEFAULT_W, FSRS_FIT_MIN, GRADES, SCHEDULERS,
+  buriedIds, convertCard, dayProgress, dirState, fitFsrs, isHard, isNewView, limitsFromJson, schedule,
+  scheduleDir, schedulerFromJson, studyDayStart, viewKey,
+} from "./scheduler.js";
+import { DEFAULT_SAVED_FILTERS, compileFilter, visibleViews } from "./query.js";
+import { gradeAnswer } from "./grading.js";
+import {
+  applyProgress, diffDecks, freshCopy, mergeDeckCards, mergeLogs, mergeProgress, progressOf, pullUpstream,
+  schedOf,
+} from "./merge.js";
+import { deckToAnkiText, parseAnkiText, parseApkg } from "./anki.js";
 
 /** ------- deployment-aware bases (subpath + api) ------- */
 const BASE = (import.meta.env.BASE_URL || "/");              // e.g. "/fcasset/"
 const API_BASE = (import.meta.env.VITE_API_BASE || `${BASE}api/`); // e.g. "/fcasset/api/"
 
 /**
- * Flash Coach — Study (refined) + Test (minimal)
- * - Study: Left/Right navigate; Up=Hard; Down=Know; tap to flip (overlay swap)
- * - Filters: All | Marked | Hard
+ * Flash Coach — Study (refined) + Quiz (typed) + Choice + Test (minimal) + Listen (hands-free)
+ * - Study: Left/Right navigate; Up=Hard; Down=Know; tap to flip (overlay swap); optional four buttons
+ *   (Again/Hard/Good/Easy: ↑/↓, and ←/→ once flipped)
+ * - Scheduling per deck: SM-2 (classic) | Leitner boxes | FSRS (weights fit from the review log);
+ *   switching converts each card's state
+ * - Directions: Front→Back | Back→Front | Both (each direction keeps its own schedule)
+ * - Filters: All | Due | Marked | Hard (Due = today's session: overdue reviews with new cards spread
+ *   through, capped by the deck's daily limits; ends on a summary) + saved query chips;
+ *   the search box takes the same queries (tag:verbs AND hard, -known, "phrase"); matrix and R follow it
+ * - Cloze: {{c1::…}} notes expand to one card per index (own schedule); siblings group in the
+ *   matrix and can be buried for the day once one is reviewed
+ * - Card faces: sanitized Markdown + $KaTeX$ + images/audio stored with the deck (media/<file>)
+ * - Speech: S / 🔊 reads the visible side (voice per detected language, adjustable rate), optional auto-play
+ * - Quiz: type the back; graded locally (keyword F1 + similarity) straight into schedule()
+ * - Choice: pick the meaning (or term) among 4; distractors favour past confusions
+ * - Listen: speaks the front, records the answer for durationSec, reads the back (and replays you);
+ *   Media Session controls so it runs with the screen locked
+ * - Stats: every grade lands in a review log (saved with the deck) → heatmap, forecast, retention
+ * - Undo / redo (Ctrl+Z / Ctrl+Shift+Z or the toast) for grades, marks, edits and deck loads / deletes
  * - Card matrix: quick jump + status rings
- * - Decks: load/save to server via /fcasset/api/cards[?name=...]
- * - Loads /public/cards.json on boot if available
+ * - Library: shared server decks (count, description, date) to fork or subscribe to; pulls bring in new /
+ *   changed cards without touching progress, which subscribers save per profile as an overlay
+ * - Decks: load/save to server via /fcasset/api/cards[?name=...]; saves go through an
+ *   offline outbox (retried when back online) and the app is an installable PWA; saves carry
+ *   the revision they were loaded at, and a stale one opens a per-card merge
+ * - Local decks live in IndexedDB (many named decks, each with its own progress, plus the last
+ *   Test-mode recordings); older localStorage data is migrated on first run
+ * - Seeds the store from /public/cards.json on first boot if available
+ * - Logic without UI lives in modules beside this file (deck, scheduler, query, grading, merge, anki,
+ *   storage); `npm test` runs their Vitest suites plus Study / Test mode against a mock backend
  */
 
-const SAMPLE = `front,back,durationSec
-abate,减弱; 缓和; to lessen in intensity,10
-banal,陈腐的; 平庸的; common or overused,10
-capricious,反复无常的; given to sudden changes,10`;
-
-function fixText(s) {
-  if (typeof s !== "string") return "";
-  return s.replace(/\\r?\\n/g, "\n");
-}
-
-function parseDeck(raw, defaultSeconds = 12) {
-  const lines = raw.trim().split(/\r?\n/);
-  if (!lines.length) return [];
-  let rows = [];
-  if (lines[0].includes(",")) rows = lines.map(l => l.split(",").map(s => s.trim()));
-  else if (lines[0].includes("|")) rows = lines.map(l => l.split("|").map(s => s.trim()));
-  else rows = lines.map(l => { const [f, ...r] = l.split(/\s+/); return [f, r.join(" ")]; });
-  if (rows.length && rows[0][0].toLowerCase() === "front") rows.shift();
-  return rows
-    .filter(r => r[0] && r[1])
-    .map((r, i) => ({
-      id: `c${i}-${r[0]}`,
-      front: r[0],
-      back: r[1],
-      durationSec: Number(r[2]) > 0 ? Number(r[2]) : defaultSeconds,
-      ease: 2.5,
-      interval: 0,
-      reps: 0,
-      due: Date.now(),
-      lastGrade: 0, // 0=unseen, 3=hard, 5=know
-      marked: false,
-    }));
-}
-
-const save = (k, v) => { try { localStorage.setItem(k, JSON.stringify(v)); } catch {} };
-const load = (k, f) => { try { return JSON.parse(localStorage.getItem(k)) ?? f; } catch { return f; } };
-
-/** ------- cards.json → local state (used by first boot hydrate) ------- */
-function applyCardsJsonObject(j, name = "default") {
-  const hard = new Set(j.hard || []);
-  const know = new Set(j.know || []);
-  const mark = new Set(j.mark || []);
-  const cards = (j.cards || []).map((c, i) => ({
-    id: c.id ?? `r${i}`,
-    front: c.term,
-    back: fixText(c.meaning),
-    durationSec: 12,
-    ease: 2.5,
-    interval: 0,
-    reps: 0,
-    due: Date.now(),
-    lastGrade: know.has(c.id) ? 5 : hard.has(c.id) ? 3 : 0,
-    marked: mark.has(c.id),
-  }));
-  save("study_cards", cards);
-  save("study_queue", cards.map(c => c.id));
-  const testCsv = ["front,back,durationSec", ...(j.cards || []).map(c => `${c.term},${c.meaning},12`)].join("\n");
-  save("test_deckRaw", testCsv);
+/** make `name` the open deck in every view */
+function openDeck(name) {
   save("deck_name", name);
   window.dispatchEvent(new CustomEvent("cardsjson:loaded"));
 }
 
-/** ------- optional: first-boot hydrate from /public/cards.json ------- */
-async function hydrateFromCardsJson() {
+/** ------- undo / redo -------
+ * An undoable action pushes the deck record as it was just before ({ name, cards, queue, … }; null
+ * when the action created the deck). Undo writes that snapshot back through IndexedDB and reopens
+ * the deck so every view reloads; what it replaced becomes the redo entry, and the reverse.
+ * Entry: { label, name, before, openBefore, openAfter } (the deck open on each side of it).
+ */
+const HISTORY_MAX = 50;
+const undoHistory = { past: [], future: [] };
+const historyChanged = (detail) => window.dispatchEvent(new CustomEvent("history:changed", { detail }));
+
+function pushUndo(entry) {
+  const last = undoHistory.past.at(-1);
+  // several edits from one render (e.g. a card turned into a cloze note) are one step
+  const same = last && last.name === entry.name && last.before && last.before.cards === entry.before?.cards && last.before.queue === entry.before?.queue;
+  undoHistory.past = same ? [...undoHistory.past.slice(0, -1), { ...last, label: entry.label }] : [...undoHistory.past, entry].slice(-HISTORY_MAX);
+  undoHistory.future = [];
+  historyChanged({ kind: "do", label: entry.label });
+}
+
+let historyBusy = false;
+async function stepHistory(kind) {
+  const [from, to] = kind === "undo" ? ["past", "future"] : ["future", "past"];
+  const e = undoHistory[from].at(-1);
+  if (!e || historyBusy) return;
+  historyBusy = true;
+  try {
+    const current = await getDeck(e.name);
+    await (e.before ? putDeck(e.before) : deleteDeck(e.name));
+    undoHistory[from] = undoHistory[from].slice(0, -1);
+    undoHistory[to] = [...undoHistory[to], { ...e, before: current ?? null }];
+    openDeck(kind === "undo" ? e.openBefore : e.openAfter);
+    historyChanged({ kind, label: e.label });
+  } catch (err) {
+    console.error(err); alert(`Could not ${kind}: ${err.message}`);
+  } finally {
+    historyBusy = false;
+  }
+}
+const undo = () => stepHistory("undo");
+const redo = () => stepHistory("redo");
+
+const shortLabel = (text, n = 30) => { const t = plainText(text).replace(/\s+/g, " ").trim(); return t.length > n ? `${t.slice(0, n - 1)}…` : t; };
+const gradeName = (g) => GRADES.find(([x]) => x === g)?.[1] ?? "Hard";
+
+// before IndexedDB there was one deck, spread over these localStorage keys
+const LEGACY_DECK_KEYS = ["study_cards", "study_queue", "study_direction", "review_log"];
+async function migrateLocalStorage() {
+  if (localStorage.getItem("study_cards") === null) return;
+  const name = load("deck_name", "default");
+  if (!(await getDeck(name))) {
+    const cards = load("study_cards", []);
+    await putDeck({
+      name,
+      cards,
+      queue: [...new Set(load("study_queue", cards.map(c => c.id)))],
+      direction: load("study_direction", "forward"),
+      log: load("review_log", []),
+    });
+  }
+  LEGACY_DECK_KEYS.forEach(k => localStorage.removeItem(k));
+}
+
+/** ------- optional: first-boot seed from /public/cards.json ------- */
+async function seedFromCardsJson() {
   try {
     const r = await fetch(`${BASE}cards.json`, { cache: "no-store", credentials: "include" });
     if (!r.ok) return false;
-    const j = await r.json();
-    applyCardsJsonObject(j, "default");
+    await putDeck(deckFromJson(await r.json(), "default"));
+    save("deck_name", "default");
     return true;
   } catch {
     return false;
   }
 }
 
-/** ------- scheduler ------- */
-function schedule(card, grade) {
-  let { ease, interval, reps } = card;
-  if (grade >= 3) {
-    if (reps === 0) interval = 1;
-    else if (reps === 1) interval = 3;
-    else interval = Math.max(1, Math.round(interval * ease));
-    reps += 1;
-    ease = Math.max(1.3, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
-  } else {
-    reps = 0; interval = 0.02;
+// open the db, migrate old data, seed an empty store — once per page load
+let storeReady = null;
+function initDeckStore() {
+  storeReady ??= (async () => {
+    await migrateLocalStorage();
+    if (!(await listDeckNames()).length) await seedFromCardsJson();
+  })();
+  return storeReady;
+}
+
+/** ------- outbox: deck saves survive offline and retry when back online ------- */
+// [{ url, body, rev, queuedAt, tries }] in localStorage; one entry per URL (the latest save wins)
+const OUTBOX_KEY = "sync_outbox";
+const outboxItems = () => load(OUTBOX_KEY, []);
+const sameItem = (a, b) => a.url === b.url && a.queuedAt === b.queuedAt;
+const outboxErrors = new Map(); // url → message for saves the server rejected
+let flushing = null;
+
+function setOutbox(items) {
+  save(OUTBOX_KEY, items);
+  window.dispatchEvent(new CustomEvent("outbox:changed"));
+}
+
+const deckUrl = (name) => (name ? `${API_BASE}cards?name=${encodeURIComponent(name)}` : `${API_BASE}cards`);
+// server deck file (without .json) a local deck saves to: "Save (default)" writes the server's default file
+const serverDeckName = (local) => (local === "default" ? load("server_default", "cards") : local);
+// server revision (ETag) each file was last loaded/saved at; sent as If-Match. Keyed by file, not URL:
+// `cards` and `cards?name=<default>` are the same deck
+const revKey = (url) => {
+  const [path, query] = url.split("?");
+  if (path !== `${API_BASE}cards`) return url;
+  return `cards:${(new URLSearchParams(query).get("name") || serverDeckName("default")).replace(/\.json$/, "")}`;
+};
+const deckRevs = () => load("deck_revs", {});
+const deckRev = (url) => deckRevs()[revKey(url)];
+const setDeckRev = (url, rev) => { if (rev) save("deck_revs", { ...deckRevs(), [revKey(url)]: rev }); };
+const etagOf = (r) => r.headers.get("ETag")?.replace(/^W\//, "").replace(/"/g, "") || null;
+
+// saves the server rejected as stale: [{ url, deck, mine, theirs, rev, at }], one per URL (`deck` = local deck)
+const CONFLICTS_KEY = "sync_conflicts";
+const syncConflicts = () => load(CONFLICTS_KEY, []);
+function setConflicts(items) {
+  save(CONFLICTS_KEY, items);
+  window.dispatchEvent(new CustomEvent("outbox:changed"));
+}
+
+/** PUT every queued save in order; stops at the first network error and keeps the rest */
+function flushOutbox() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let offline = false;
+    for (const it of outboxItems()) {
+      try {
+        const r = await fetch(it.url, {
+          method: "PUT",
+          // no known revision = "expect no file yet", so a deck this device never loaded isn't overwritten
+          headers: { "Content-Type": "application/json", "If-Match": `"${it.rev || "0"}"` },
+          credentials: "include",
+          body: it.body,
+        });
+        if (r.status >= 500) throw new Error(`HTTP ${r.status}`);
+        if (r.status === 409 && it.url.startsWith(`${API_BASE}progress`)) {
+          // progress overlays merge without asking (latest review wins) and go again
+          const j = await r.json();
+          if ((it.merges || 0) < 3) {
+            const body = JSON.stringify(mergeProgress(JSON.parse(it.body), j.progress || {}));
+            setOutbox(outboxItems().map(x => sameItem(x, it) ? { ...x, body, rev: j.rev, merges: (x.merges || 0) + 1 } : x));
+            continue;
+          }
+          outboxErrors.set(it.url, "Progress kept changing on the server; save again");
+          window.dispatchEvent(new CustomEvent("outbox:error", { detail: outboxErrors.get(it.url) }));
+        } else if (r.status === 409) {
+          // someone saved in between: park both versions for the merge dialog
+          const j = await r.json();
+          const rest = syncConflicts().filter(c => c.url !== it.url);
+          setConflicts([...rest, { url: it.url, deck: it.deck, mine: JSON.parse(it.body), theirs: j.deck, rev: j.rev, at: Date.now() }]);
+        } else if (!r.ok) {
+          outboxErrors.set(it.url, `Save rejected (HTTP ${r.status})`);
+          window.dispatchEvent(new CustomEvent("outbox:error", { detail: outboxErrors.get(it.url) }));
+        } else {
+          outboxErrors.delete(it.url);
+          setDeckRev(it.url, (await r.json().catch(() => ({}))).rev || etagOf(r));
+        }
+        setOutbox(outboxItems().filter(x => !sameItem(x, it)));
+      } catch (e) {
+        console.warn("deck save deferred:", e);
+        setOutbox(outboxItems().map(x => sameItem(x, it) ? { ...x, tries: x.tries + 1 } : x));
+        offline = true;
+        break;
+      }
+    }
+    flushing = null;
+    // saves queued while this pass ran get their own pass
+    if (!offline && outboxItems().some(x => !x.tries)) await flushOutbox();
+  })();
+  return flushing;
+}
+
+/**
+ * queue a deck PUT and try to send it now → "synced" | "queued" | "conflict" | "failed"
+ * `rev` is the server revision the deck was based on (defaults to the last one seen for that file),
+ * `deck` the local deck being saved, which takes the merge if the server copy moved on
+ */
+async function enqueueSave(url, payload, { rev = deckRev(url), deck = null } = {}) {
+  const item = { url, deck, body: JSON.stringify(payload), rev: rev || null, queuedAt: Date.now(), tries: 0 };
+  setOutbox([...outboxItems().filter(x => x.url !== url), item]);
+  setConflicts(syncConflicts().filter(c => c.url !== url)); // a newer save supersedes an unresolved one
+  await flushOutbox();
+  if (outboxItems().some(x => x.url === url)) return "queued";
+  if (syncConflicts().some(c => c.url === url)) return "conflict";
+  return outboxErrors.has(url) ? "failed" : "synced";
+}
+
+function useOutbox() {
+  const [pending, setPending] = useState(() => outboxItems().length);
+  const [conflicts, setConflictCount] = useState(() => syncConflicts().length);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const sync = () => { setPending(outboxItems().length); setConflictCount(syncConflicts().length); };
+    const up = () => { setOnline(true); flushOutbox(); };
+    const down = () => setOnline(false);
+    const failed = (e) => alert(e.detail);
+    window.addEventListener("outbox:changed", sync);
+    window.addEventListener("outbox:error", failed);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    const t = window.setInterval(() => { if (outboxItems().length) flushOutbox(); }, 30000);
+    flushOutbox();
+    return () => {
+      window.removeEventListener("outbox:changed", sync);
+      window.removeEventListener("outbox:error", failed);
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+      clearInterval(t);
+    };
+  }, []);
+  return { pending, conflicts, online };
+}
+
+const SAVE_MESSAGES = {
+  synced: "Saved ✔︎",
+  queued: "Offline — save queued. It will sync when you're back online.",
+  conflict: "The server copy changed since you loaded it. Merge the two versions to finish saving.",
+};
+
+function fmtDuration(ms) {
+  const m = Math.max(1, Math.ceil(ms / 60000));
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  const d = Math.floor(h / 24);
+  return `${d}d ${h % 24}h`;
+}
+
+/** ------- shared library: deck list + per-profile progress overlays (rules in merge.js) ------- */
+const libraryUrl = () => `${API_BASE}library`;
+const progressUrl = (name, profile) => `${API_BASE}progress?name=${encodeURIComponent(name)}&profile=${encodeURIComponent(profile)}`;
+async function fetchLibraryDeck(name) {
+  const r = await fetch(deckUrl(name), { cache: "no-store", credentials: "include" });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  const json = await r.json();
+  return { json, rev: etagOf(r), cards: cardsFromDeckJson(json).map(freshCopy) };
+}
+async function fetchProgress(name, profile) {
+  const r = await fetch(progressUrl(name, profile), { cache: "no-store", credentials: "include" });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  setDeckRev(progressUrl(name, profile), etagOf(r));
+  return r.json();
+}
+
+/** ===================== Library Dialog ===================== */
+function LibraryDialog({ localDecks, onClose, onAdd }) {
+  const [decks, setDecks] = useState(null);
+  const [error, setError] = useState("");
+  const [profile, setProfile] = useState(load("profile_name", ""));
+  useEffect(() => { save("profile_name", profile.trim()); }, [profile]);
+  useEffect(() => {
+    fetch(libraryUrl(), { cache: "no-store", credentials: "include" })
+      .then(r => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+      .then(j => setDecks(j.decks || []))
+      .catch(e => setError(`Could not load the library (${e.message}).`));
+  }, []);
+  const validProfile = /^[\w-]{1,40}$/u.test(profile.trim());
+  const btn = "px-2 py-1 rounded-md border bg-white text-xs disabled:opacity-50";
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center p-3 bg-black/40" onMouseDown={e => e.stopPropagation()}>
+      <div className="bg-white rounded-2xl border shadow p-4 w-full max-w-[900px] max-h-[90vh] overflow-auto text-left flex flex-col gap-3">
+        <div className="flex items-center justify-between gap-2 flex-wrap">
+          <div className="text-sm font-medium">Deck library</div>
+          <label className="text-xs" title="Your progress on subscribed decks is saved on the server under this name">Profile{" "}
+            <input
+              className={`px-2 py-1 rounded-md border text-xs ${profile && !validProfile ? "border-red-400 bg-red-50" : "bg-white"}`}
+              placeholder="e.g. alex" value={profile} onChange={e => setProfile(e.target.value)}
+            />
+          </label>
+        </div>
+        {error && <div className="text-xs text-red-600">{error}</div>}
+        {!decks && !error && <div className="text-xs text-neutral-500">Loading…</div>}
+        {decks && (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-neutral-500">
+                <th className="p-1">Deck</th><th className="p-1">Cards</th><th className="p-1">Description</th><th className="p-1">Modified</th><th className="p-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {decks.map(d => (
+                <tr key={d.file} className="border-t align-top">
+                  <td className="p-1 font-medium">{d.name}</td>
+                  <td className="p-1">{d.cards}</td>
+                  <td className="p-1 text-neutral-600">{d.description || "—"}</td>
+                  <td className="p-1 whitespace-nowrap">{new Date(d.updatedAt).toLocaleString()}</td>
+                  <td className="p-1 whitespace-nowrap">
+                    <button className={btn} onClick={() => onAdd(d, "fork", validProfile ? profile.trim() : "")} title="Your own copy (with your progress, if any); can still pull new cards later">Fork</button>{" "}
+                    <button className={btn} onClick={() => onAdd(d, "subscribe", profile.trim())} disabled={!validProfile}
+                      title={validProfile ? "Follow this deck; your progress is kept per profile" : "Set a profile name first"}>
+                      {localDecks.includes(d.name) ? "Re-subscribe" : "Subscribe"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!decks.length && <tr><td className="p-1 text-neutral-500" colSpan={5}>No decks on the server yet.</td></tr>}
+            </tbody>
+          </table>
+        )}
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-3 py-2 rounded-md border bg-white text-sm">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ===================== Merge Dialog (stale server save) ===================== */
+const mergeFace = (c) => (c ? `${c.front} — ${c.back}` : "— (not in this copy)");
+
+function MergeDialog({ conflict, onLater, onResolve }) {
+  const mine = useMemo(() => cardsFromDeckJson(conflict.mine), [conflict]);
+  const theirs = useMemo(() => cardsFromDeckJson(conflict.theirs), [conflict]);
+  const rows = useMemo(() => diffDecks(mine, theirs), [mine, theirs]);
+  const [picks, setPicks] = useState(() => Object.fromEntries(rows.map(r => [r.id, r.pick])));
+  const pickAll = (side) => setPicks(Object.fromEntries(rows.map(r => [r.id, side])));
+
+  const autoMerged = useMemo(() => {
+    const theirsById = new Map(theirs.map(c => [c.id, c]));
+    return mine.filter(m => theirsById.has(m.id) && schedOf(m) !== schedOf(theirsById.get(m.id))).length;
+  }, [mine, theirs]);
+
+  function resolve() {
+    const cards = mergeDeckCards(mine, theirs, picks);
+    onResolve(deckToJson(cards, conflict.mine.name, {
+      direction: conflict.mine.direction,
+      scheduler: conflict.mine.scheduler,
+      limits: conflict.mine.limits,
+      log: mergeLogs(conflict.mine.log, conflict.theirs.log),
+    }));
   }
-  const due = Date.now() + interval * 86400000;
-  return { ...card, ease, interval, reps, due, lastGrade: grade };
+
+  const cell = (row, side) => (
+    <td className="p-1 align-top">
+      <label className="flex items-start gap-1 cursor-pointer">
+        <input type="radio" checked={picks[row.id] === side} onChange={() => setPicks(p => ({ ...p, [row.id]: side }))} />
+        <span style={{ whiteSpace: "pre-wrap" }} className={row[side] ? "" : "text-neutral-400"}>{mergeFace(row[side])}</span>
+      </label>
+    </td>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center p-3 bg-black/40" onMouseDown={e => e.stopPropagation()}>
+      <div className="bg-white rounded-2xl border shadow p-4 w-full max-w-[900px] max-h-[90vh] overflow-auto text-left flex flex-col gap-3">
+        <div className="text-sm font-medium">“{conflict.mine.name}” changed on the server since you loaded it</div>
+        <div className="text-xs text-neutral-600">
+          {rows.length ? `${rows.length} card${rows.length === 1 ? "" : "s"} differ — pick a version for each.` : "No card text differs."}
+          {!!autoMerged && ` Progress on ${autoMerged} card${autoMerged === 1 ? "" : "s"} is merged by the most recent review.`}
+          {" "}Review history from both copies is kept.
+        </div>
+
+        {!!rows.length && (
+          <>
+            <div className="flex gap-2 text-xs">
+              <button onClick={() => pickAll("mine")} className="px-2 py-1 rounded-md border bg-white">Take all mine</button>
+              <button onClick={() => pickAll("theirs")} className="px-2 py-1 rounded-md border bg-white">Take all theirs</button>
+            </div>
+            <table className="w-full text-xs border-collapse">
+              <thead>
+                <tr className="text-neutral-500">
+                  <th className="text-left p-1 w-1/2">Mine (this device)</th><th className="text-left p-1 w-1/2">Theirs (server)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => <tr key={row.id} className="border-t">{cell(row, "mine")}{cell(row, "theirs")}</tr>)}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onLater} className="px-3 py-2 rounded-md border bg-white">Later</button>
+          <button onClick={resolve} className="px-3 py-2 rounded-md border bg-neutral-900 text-white">Save merged deck</button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-/** ------- shared study state ------- */
-function useStudyDeck() {
-  const [cards, setCards] = useState(() => load("study_cards", parseDeck(SAMPLE)));
-  const [queue, setQueue] = useState(() => {
-    const ids = load("study_queue", cards.map(c => c.id));
-    return [...new Set(ids)];
+/** ------- text-to-speech (browser SpeechSynthesis) ------- */
+// each face is read in the language its script suggests, with the voice picked for that language
+const TTS_LANGS = { en: "English", zh: "Chinese", ja: "Japanese", ko: "Korean", ru: "Russian" };
+const VOICE_PREFIXES = { zh: ["zh", "cmn", "yue"] }; // some platforms tag Mandarin as cmn-*
+const canSpeak = typeof window !== "undefined" && "speechSynthesis" in window;
+
+function detectLang(text) {
+  const s = String(text ?? "");
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(s)) return "ja";
+  if (/\p{Script=Hangul}/u.test(s)) return "ko";
+  if (/\p{Script=Han}/u.test(s)) return "zh";
+  if (/\p{Script=Cyrillic}/u.test(s)) return "ru";
+  return "en";
+}
+
+const voicesFor = (voices, lang) => voices.filter(v =>
+  (VOICE_PREFIXES[lang] || [lang]).some(p => v.lang.toLowerCase().startsWith(p)));
+// `uri` is the saved choice; otherwise the platform default for the language, then any
+const pickVoice = (voices, lang, uri) => {
+  const vs = voicesFor(voices, lang);
+  return vs.find(v => v.voiceURI === uri) || vs.find(v => v.default) || vs[0] || null;
+};
+
+function useVoices() {
+  const [voices, setVoices] = useState(() => (canSpeak ? speechSynthesis.getVoices() : []));
+  useEffect(() => {
+    if (!canSpeak) return;
+    const h = () => setVoices(speechSynthesis.getVoices());
+    speechSynthesis.addEventListener("voiceschanged", h);
+    return () => speechSynthesis.removeEventListener("voiceschanged", h);
+  }, []);
+  return voices;
+}
+
+// { auto: off | front | both, rate, voices: { [lang]: voiceURI } }
+function useTtsSettings() {
+  const [tts, setTts] = useState(() => ({ auto: "off", rate: 1, voices: {}, ...load("tts_settings", {}) }));
+  useEffect(() => { save("tts_settings", tts); }, [tts]);
+  return [tts, setTts];
+}
+
+/** read `text` aloud, interrupting anything already playing; resolves when it ends */
+function speak(text, tts, voices) {
+  const s = plainText(text);
+  if (!canSpeak || !s) return Promise.resolve();
+  speechSynthesis.cancel();
+  const lang = detectLang(s);
+  const u = new SpeechSynthesisUtterance(s);
+  const voice = pickVoice(voices, lang, tts.voices?.[lang]);
+  if (voice) u.voice = voice;
+  u.lang = voice?.lang || lang;
+  u.rate = tts.rate || 1;
+  return new Promise(resolve => {
+    u.onend = u.onerror = () => resolve();
+    speechSynthesis.speak(u);
   });
+}
+
+function SpeechSettings({ tts, setTts, voices, langs }) {
+  const select = "px-2 py-1 rounded-md border bg-white";
+  if (!canSpeak) return <div className="text-xs text-neutral-500">Speech is not supported in this browser.</div>;
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs">
+      <label>Auto-play{" "}
+        <select className={select} value={tts.auto} onChange={e => setTts(t => ({ ...t, auto: e.target.value }))}>
+          <option value="off">Off</option>
+          <option value="front">Front</option>
+          <option value="both">Front + back</option>
+        </select>
+      </label>
+      <label className="flex items-center gap-1">Rate
+        <input
+          type="range" min={0.5} max={1.5} step={0.1}
+          value={tts.rate}
+          onChange={e => setTts(t => ({ ...t, rate: Number(e.target.value) }))}
+        />
+        <span className="w-8">{tts.rate.toFixed(1)}×</span>
+      </label>
+      {langs.map(lang => {
+        const vs = voicesFor(voices, lang);
+        return (
+          <label key={lang}>{TTS_LANGS[lang]} voice{" "}
+            <select
+              className={select}
+              value={pickVoice(voices, lang, tts.voices[lang])?.voiceURI ?? ""}
+              onChange={e => setTts(t => ({ ...t, voices: { ...t.voices, [lang]: e.target.value } }))}
+              disabled={!vs.length}
+            >
+              {!vs.length && <option value="">No voice installed</option>}
+              {vs.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>)}
+            </select>
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+function SchedulerSettings({ scheduler, onChange, log, buttons, setButtons }) {
+  const [fit, setFit] = useState(null); // { n, before, after } of the last fit
+  const [fitting, setFitting] = useState(false);
+  const select = "px-2 py-1 rounded-md border bg-white";
+
+  function fitWeights() {
+    setFitting(true);
+    // let the button repaint before the (synchronous) search
+    window.setTimeout(() => {
+      const r = fitFsrs(log, scheduler.w);
+      setFitting(false);
+      if (!r) return alert(`Fitting needs at least ${FSRS_FIT_MIN} reviews made a day or more after the previous one of the same card.`);
+      setFit(r);
+      onChange({ w: r.w });
+    }, 30);
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs">
+      <label title="Saved with the deck; switching converts each card's state instead of resetting it">Algorithm{" "}
+        <select className={select} value={scheduler.algo} onChange={e => { setFit(null); onChange({ algo: e.target.value }); }}>
+          {Object.entries(SCHEDULERS).map(([k, { label }]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </label>
+      <label>Grading{" "}
+        <select className={select} value={buttons} onChange={e => setButtons(Number(e.target.value))}>
+          <option value={2}>2 buttons (Hard / Know)</option>
+          <option value={4}>4 buttons (Again / Hard / Good / Easy)</option>
+        </select>
+      </label>
+      {scheduler.algo === "fsrs" && (
+        <>
+          <label title="Recall probability FSRS aims for when a card comes due">Target recall{" "}
+            <input
+              type="number" min={0.7} max={0.99} step={0.01} className={select} style={{ width: 70 }}
+              value={scheduler.retention}
+              onChange={e => onChange({ retention: Math.min(0.99, Math.max(0.7, Number(e.target.value) || 0.9)) })}
+            />
+          </label>
+          <button onClick={fitWeights} disabled={fitting} className="px-2 py-1 rounded-md border bg-white disabled:opacity-50"
+            title={`Tune the 19 FSRS weights to this deck's review log (${log.length} reviews)`}>
+            {fitting ? "Fitting…" : "Fit to my history"}
+          </button>
+          <button onClick={() => { setFit(null); onChange({ w: FSRS_DEFAULT_W }); }} className="px-2 py-1 rounded-md border bg-white">
+            Default weights
+          </button>
+          {fit && <span className="text-neutral-500">Fitted on {fit.n} reviews • log-loss {fit.before} → {fit.after}</span>}
+          {!fit && scheduler.w.some((x, k) => x !== FSRS_DEFAULT_W[k]) && <span className="text-neutral-500">Using fitted weights</span>}
+        </>
+      )}
+    </div>
+  );
+}
 
-  // persist
-  useEffect(() => { save("study_cards", cards); }, [cards]);
-  useEffect(() => { save("study_queue", queue); }, [queue]);
+function LimitsSettings({ limits, setLimits }) {
+  const field = "px-2 py-1 rounded-md border bg-white";
+  const set = (k) => (e) => setLimits(l => limitsFromJson({ ...l, [k]: Number(e.target.value) }));
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs">
+      <label>New cards / day{" "}
+        <input type="number" min={0} className={field} style={{ width: 70 }} value={limits.newPerDay} onChange={set("newPerDay")} />
+      </label>
+      <label>Max reviews / day{" "}
+        <input type="number" min={0} className={field} style={{ width: 80 }} value={limits.reviewsPerDay} onChange={set("reviewsPerDay")} />
+      </label>
+      <label title="Local time when today's counts start over">Day starts at{" "}
+        <select className={field} value={limits.dayStartHour} onChange={set("dayStartHour")}>
+          {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+/** ------- shared study state ------- */
+function useStudyDeck() {
+  const [deckName, setDeckName] = useState(() => load("deck_name", "default"));
+  const [cards, setCards] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [direction, setDirection] = useState("forward"); // forward | reverse | both
+  const [log, setLog] = useState([]);
+  const [scheduler, setScheduler] = useState(DEFAULT_SCHEDULER);
+  const [limits, setLimits] = useState(DEFAULT_LIMITS);
+  const [meta, setMeta] = useState({}); // deck-level extras: { description?, source?, pronunciation? }
+  const [ready, setReady] = useState(false);
 
-  // react to cardsjson:loaded (hydrate)
+  // load the open deck, and again whenever a view opens another one (cardsjson:loaded)
   useEffect(() => {
-    const h = () => { setCards(load("study_cards", [])); setQueue(load("study_queue", [])); };
+    let live = true;
+    const h = async () => {
+      await initDeckStore();
+      const name = load("deck_name", "default");
+      const deck = await getDeck(name);
+      if (!live) return;
+      const cs = deck?.cards ?? (name === "default" ? parseDeck(SAMPLE) : []);
+      setDeckName(name);
+      setCards(cs);
+      setQueue([...new Set(deck?.queue ?? cs.map(c => c.id))]);
+      setDirection(deck?.direction ?? "forward");
+      setLog(deck?.log ?? []);
+      setScheduler(schedulerFromJson(deck?.scheduler));
+      setLimits(limitsFromJson(deck?.limits));
+      setMeta(Object.fromEntries(["description", "source", "pronunciation"].filter(k => deck?.[k]).map(k => [k, deck[k]])));
+      setReady(true);
+    };
+    h().catch(e => { console.error(e); alert("Could not open the local deck store."); });
     window.addEventListener("cardsjson:loaded", h);
-    return () => window.removeEventListener("cardsjson:loaded", h);
+    return () => { live = false; window.removeEventListener("cardsjson:loaded", h); };
   }, []);
 
+  // persist (the name changes together with the data, so a switch never writes across decks)
+  useEffect(() => {
+    if (ready) putDeck({ name: deckName, cards, queue, direction, log, scheduler, limits, ...meta }).catch(e => console.error(e));
+  }, [ready, deckName, cards, queue, direction, log, scheduler, limits, meta]);
+
   const replaceCard = (u) => setCards(cs => cs.map(c => c.id === u.id ? u : c));
-  const byId = (id) => cards.find(c => c.id === id);
+  const byId = useMemo(() => {
+    const m = new Map(cards.map(c => [c.id, c]));
+    return (id) => m.get(id);
+  }, [cards]);
+  // every card in every active direction (cloze siblings side by side); `s` is that direction's scheduling state
+  const views = useMemo(() => groupSiblings(queue, byId).flatMap(id => {
+    const card = byId(id);
+    return card ? viewDirs(card, direction).map(dir => ({ key: viewKey(id, dir), id, dir, card, s: dirState(card, dir) })) : [];
+  }), [queue, byId, direction]);
+  // media/<file> in cards lives in the server deck's <name>.media/ folder; forks and
+  // subscriptions keep pointing at the library deck they came from
+  const mediaDeck = meta.source?.name ?? serverDeckName(deckName);
+
+  // snapshot the deck as it is now, so `label` can be undone
+  const remember = (label) => pushUndo({
+    label, name: deckName, before: { name: deckName, cards, queue, direction, log, scheduler, limits, ...meta },
+    openBefore: deckName, openAfter: deckName,
+  });
+
+  // schedule one direction of a card and append the review to the log
+  const gradeCard = (card, dir, grade, { ms = null, mode = "study" } = {}) => {
+    remember(`${gradeName(grade)}: “${shortLabel(card.front)}”`);
+    const next = scheduleDir(card, dir, grade, scheduler);
+    replaceCard(next);
+    setLog(l => [...l, {
+      cardId: card.id, dir, ts: Date.now(), grade,
+      prevInterval: dirState(card, dir).interval, nextInterval: dirState(next, dir).interval,
+      ms, mode,
+    }].slice(-REVIEW_LOG_MAX));
+    return next;
+  };
+
+  // switching algorithm re-expresses every card's state for it (nothing is reset)
+  const changeScheduler = (patch) => {
+    if (patch.algo && patch.algo !== scheduler.algo) {
+      remember(`Switched to ${SCHEDULERS[patch.algo].label}`);
+      setCards(cs => cs.map(c => convertCard(c, patch.algo)));
+    }
+    setScheduler(s => ({ ...s, ...patch }));
+  };
+
+  // editor helpers — ids never change, so hard/know/mark and scheduling survive edits
+  const addCard = (card) => {
+    remember(`Added “${shortLabel(card.front)}”`);
+    setCards(cs => [...cs, card]); setQueue(q => [...q, card.id]);
+  };
+  const updateCards = (ids, patch) => {
+    remember(ids.length === 1 ? `Edited “${shortLabel(byId(ids[0])?.front)}”` : `Edited ${ids.length} cards`);
+    const sel = new Set(ids);
+    const now = Date.now();
+    setCards(cs => cs.map(c => sel.has(c.id)
+      ? { ...c, ...(typeof patch === "function" ? patch(c) : patch), updatedAt: now }
+      : c));
+  };
+  // cloze notes: one card per {{cN::…}}; editing the text adds / drops siblings to match
+  const saveNote = (fields, noteId = newCard({}).id) => {
+    remember(`Saved cloze note “${shortLabel(fields.front)}”`);
+    const now = Date.now();
+    const ns = clozeIndexes(fields.front);
+    const sibs = cards.filter(c => c.noteId === noteId);
+    const drop = new Set(sibs.filter(c => !ns.includes(c.cloze)).map(c => c.id));
+    const added = ns.filter(n => !sibs.some(c => c.cloze === n))
+      .map(n => newCard({ ...fields, id: `${noteId}-c${n}`, noteId, cloze: n }));
+    setCards(cs => [
+      ...cs.filter(c => !drop.has(c.id)).map(c => c.noteId === noteId ? { ...c, ...fields, updatedAt: now } : c),
+      ...added,
+    ]);
+    setQueue(q => [...q.filter(id => !drop.has(id)), ...added.map(c => c.id)]);
+  };
+  const removeCards = (ids) => {
+    remember(ids.length === 1 ? `Deleted “${shortLabel(byId(ids[0])?.front)}”` : `Deleted ${ids.length} cards`);
+    const sel = new Set(ids);
+    setCards(cs => cs.filter(c => !sel.has(c.id)));
+    setQueue(q => q.filter(id => !sel.has(id)));
+  };
+  // drop `id` into `targetId`'s slot in the queue
+  const moveCard = (id, targetId) => {
+    if (id === targetId) return;
+    remember(`Moved “${shortLabel(byId(id)?.front)}”`);
+    setQueue(q => {
+      const from = q.indexOf(id), to = q.indexOf(targetId);
+      if (from < 0 || to < 0 || from === to) return q;
+      const next = [...q];
+      next.splice(from, 1);
+      next.splice(to, 0, id);
+      return next;
+    });
+  };
 
-  return { cards, setCards, queue, setQueue, replaceCard, byId };
+  return {
+    deckName, mediaDeck, ready, cards, setCards, queue, setQueue, direction, setDirection, log, scheduler, changeScheduler, limits, setLimits, meta, setMeta,
+    replaceCard, byId, views, remember, gradeCard, addCard, updateCards, saveNote, removeCards, moveCard,
+  };
+}
+
+/** images / sound clips attached to one face of a card (e.g. from an Anki package) */
+function CardMedia({ media, side }) {
+  const items = (media || []).filter(m => m.side === side);
+  if (!items.length) return null;
+  return (
+    <div className="mt-3 flex flex-col items-center gap-2">
+      {items.map(m => m.type.startsWith("image/")
+        ? <img key={m.name} src={m.src} alt={m.name} style={{ maxWidth: "100%", maxHeight: "40vh" }} />
+        : m.type.startsWith("audio/")
+          ? <audio key={m.name} controls src={m.src} onClick={e => e.stopPropagation()} />
+          : null)}
+    </div>
+  );
+}
+
+/** ------- rich card faces: sanitized Markdown + $KaTeX$ + deck media -------
+ * `![alt](media/<file>)` points into the deck's media folder on the server (<deck>.media/ next to
+ * <deck>.json), so a deck and its media move together; audio files render as players.
+ */
+const AUDIO_EXT = /\.(mp3|m4a|aac|ogg|oga|opus|wav|webm)$/i;
+const escAttr = (v) => String(v ?? "").replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+const markdown = new Marked({
+  gfm: true,
+  breaks: true, // single newlines stay line breaks, like the old pre-wrap faces
+  renderer: {
+    image({ href, title, text }) {
+      if (!AUDIO_EXT.test(href.split("?")[0])) return false;
+      return `<audio controls preload="none" src="${escAttr(href)}" title="${escAttr(title || text)}"></audio>`;
+    },
+  },
+});
+const mediaUrl = (deck, file) => `${API_BASE}media/${encodeURIComponent(deck)}/${encodeURIComponent(file)}`;
+
+function renderRich(text, deck, inline = false) {
+  // math is cut out first so Markdown never sees (and mangles) the TeX
+  const math = [];
+  const stash = (tex, display) => `\uE000${math.push([tex, display]) - 1}\uE001`;
+  const src = fixText(text)
+    .replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => stash(tex, true))
+    .replace(/\$(?!\s)([^$\n]+?)(?<!\s)\$/g, (_, tex) => stash(tex, false))
+    .replace(/\]\(media\/([^)\s]+)/g, (_, file) => `](${mediaUrl(deck, file)}`);
+  const html = (inline ? markdown.parseInline(src) : markdown.parse(src))
+    .replace(/\uE000(\d+)\uE001/g, (_, n) => katex.renderToString(math[n][0], { displayMode: math[n][1], throwOnError: false }));
+  return DOMPurify.sanitize(html, { ADD_TAGS: ["audio"], ADD_ATTR: ["controls", "preload"] });
+}
+
+function RichText({ text, deck, inline = false }) {
+  const html = useMemo(() => renderRich(text, deck, inline), [text, deck, inline]);
+  const Tag = inline ? "span" : "div";
+  // players and links inside a card shouldn't flip it
+  const keep = (e) => { if (e.target.closest?.("audio, a")) e.stopPropagation(); };
+  return <Tag className="rich" onClick={keep} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+/** POST a file into the deck's media folder → the relative path to put in the card */
+async function uploadMedia(deck, file) {
+  const fd = new FormData();
+  fd.append("file", file, file.name);
+  const r = await fetch(`${API_BASE}media?name=${encodeURIComponent(deck)}`, { method: "POST", credentials: "include", body: fd });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.detail || j.error || `HTTP ${r.status}`);
+  return j.path; // "media/<file>"
+}
+// a deck saved under another server name takes its media along (cards only say media/<file>)
+async function copyMedia(from, to) {
+  const q = `src=${encodeURIComponent(from)}&dest=${encodeURIComponent(to)}`;
+  const r = await fetch(`${API_BASE}media/copy?${q}`, { method: "POST", credentials: "include" });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.detail || j.error || `HTTP ${r.status}`);
+}
+const usesMedia = (cards) => cards.some(c => /\]\(media\//.test(`${c.front}\n${c.back}`));
+
+/** ===================== Card Editor ===================== */
+function CardEditor({ mediaDeck, current, selectedIds, onAdd, onUpdate, onSaveNote, onRemove, onClearSelection }) {
+  const [mode, setMode] = useState(current ? "edit" : "new"); // edit | new
+  const target = mode === "edit" ? current : null;
+  const [front, setFront] = useState(target?.front ?? "");
+  const [back, setBack] = useState(fixText(target?.back ?? ""));
+  const [durationSec, setDurationSec] = useState(target?.durationSec ?? 12);
+  const [tags, setTags] = useState((target?.tags || []).join(" "));
+  const [bulkSeconds, setBulkSeconds] = useState(12);
+  const [bulkTag, setBulkTag] = useState("");
+
+  function startNew() { setMode("new"); setFront(""); setBack(""); setDurationSec(12); setTags(""); }
+  function startEdit() {
+    if (!current) return;
+    setMode("edit");
+    setFront(current.front); setBack(fixText(current.back)); setDurationSec(current.durationSec);
+    setTags((current.tags || []).join(" "));
+  }
+  function tagSelected(add) {
+    const ts = parseTags(bulkTag);
+    if (!ts.length) return;
+    onUpdate(selectedIds, c => ({ tags: add ? parseTags([...(c.tags || []), ...ts].join(" ")) : (c.tags || []).filter(t => !ts.includes(t)) }));
+  }
+
+  function submit() {
+    const f = front.trim(), b = back.trim();
+    const cloze = clozeIndexes(f).length > 0;
+    if (!f || (!b && !cloze)) return alert("Front and back are both required (the back is optional for cloze notes).");
+    if (target?.noteId && !cloze) return alert("A cloze note needs at least one {{c1::…}} in the front.");
+    const fields = { front: f, back: b, durationSec: Number(durationSec) > 0 ? Number(durationSec) : 12, tags: parseTags(tags) };
+    if (target?.noteId) onSaveNote(fields, target.noteId);
+    else if (cloze) {
+      // a plain card that gained {{cN::…}} becomes a note
+      if (target) onRemove([target.id]);
+      onSaveNote(fields);
+      if (!target) startNew();
+    } else if (target) onUpdate([target.id], fields);
+    else { onAdd(newCard(fields)); startNew(); }
+  }
+
+  // upload an image / audio clip and reference it at the end of that face
+  async function attach(ev, setFace) {
+    const f = ev.target.files?.[0]; if (!f) return;
+    ev.target.value = "";
+    try {
+      const ref = `![${f.name.replace(/[[\]]/g, "")}](${await uploadMedia(mediaDeck, f)})`;
+      setFace(t => (t.trim() ? `${t.trimEnd()}\n${ref}` : ref));
+    } catch (e) { console.error(e); alert(`Upload failed: ${e.message}`); }
+  }
+
+  function removeSelected(ids) {
+    if (!ids.length) return;
+    if (!confirm(`Delete ${ids.length} card${ids.length > 1 ? "s" : ""}? Progress for ${ids.length > 1 ? "them" : "it"} is lost.`)) return;
+    onRemove(ids);
+    onClearSelection();
+  }
+
+  const field = "w-full px-2 py-1 rounded-md border bg-white text-sm";
+  return (
+    <div className="p-3 pt-0 flex flex-col gap-2 text-left">
+      <div className="flex items-center gap-2 text-xs">
+        <button onClick={startEdit} disabled={!current}
+          className={`px-2 py-1 rounded-full border ${mode === "edit" ? "bg-neutral-900 text-white" : "bg-white"}`}>
+          Edit current
+        </button>
+        <button onClick={startNew}
+          className={`px-2 py-1 rounded-full border ${mode === "new" ? "bg-neutral-900 text-white" : "bg-white"}`}>
+          ＋ New card
+        </button>
+        {target && <span className="text-neutral-500 truncate">ID: {target.id}{target.noteId && ` • cloze ${target.cloze} (edits apply to the whole note)`}</span>}
+      </div>
+      <label className="text-xs">Front
+        <textarea className={field} rows={2} value={front} onChange={e => setFront(e.target.value)} />
+      </label>
+      <label className="text-xs">Back
+        <textarea className={field} rows={4} value={back} onChange={e => setBack(e.target.value)} />
+      </label>
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        {[["front", setFront], ["back", setBack]].map(([face, setFace]) => (
+          <label key={face} className="px-2 py-1 rounded-md border bg-white cursor-pointer">
+            📎 Attach to {face}
+            <input type="file" accept="image/*,audio/*" className="hidden" onChange={e => attach(e, setFace)} />
+          </label>
+        ))}
+        <span className="text-neutral-500">Markdown, $math$ and $$display math$$ work on both faces; {"{{c1::word}}"} in the front makes cloze cards.</span>
+      </div>
+      <div className="flex items-end gap-2 flex-wrap">
+        <label className="text-xs">Seconds (Test)
+          <input type="number" min={1} className={field} style={{ width: 90 }}
+            value={durationSec} onChange={e => setDurationSec(e.target.value)} />
+        </label>
+        <label className="text-xs flex-1 min-w-[140px]">Tags
+          <input className={field} placeholder="verbs chapter-3" value={tags} onChange={e => setTags(e.target.value)} />
+        </label>
+        <button onClick={submit} className="px-3 py-1 rounded-md border text-xs bg-white">
+          {target ? "Save card" : "Add card"}
+        </button>
+        {target && (
+          <button onClick={() => removeSelected([target.id])} className="px-3 py-1 rounded-md border text-xs bg-white text-red-600">
+            Delete
+          </button>
+        )}
+      </div>
+
+      {selectedIds.length > 0 && (
+        <div className="mt-2 rounded-lg border p-2 flex flex-col gap-2">
+          <div className="text-xs font-medium">{selectedIds.length} selected in matrix</div>
+          <div className="flex items-center gap-2 flex-wrap text-xs">
+            <input type="number" min={1} className="px-2 py-1 rounded-md border bg-white" style={{ width: 70 }}
+              value={bulkSeconds} onChange={e => setBulkSeconds(e.target.value)} />
+            <button onClick={() => Number(bulkSeconds) > 0 && onUpdate(selectedIds, { durationSec: Number(bulkSeconds) })}
+              className="px-2 py-1 rounded-md border bg-white">Set seconds</button>
+            <button onClick={() => onUpdate(selectedIds, { marked: true })} className="px-2 py-1 rounded-md border bg-white">Mark</button>
+            <button onClick={() => onUpdate(selectedIds, { marked: false })} className="px-2 py-1 rounded-md border bg-white">Unmark</button>
+            <input className="px-2 py-1 rounded-md border bg-white" style={{ width: 90 }} placeholder="tag"
+              value={bulkTag} onChange={e => setBulkTag(e.target.value)} />
+            <button onClick={() => tagSelected(true)} className="px-2 py-1 rounded-md border bg-white">＋ Tag</button>
+            <button onClick={() => tagSelected(false)} className="px-2 py-1 rounded-md border bg-white">− Tag</button>
+            <button
+              onClick={() => onUpdate(selectedIds, c => ({ ...newCard({ id: c.id }), front: c.front, back: c.back, durationSec: c.durationSec, marked: c.marked, tags: c.tags, createdAt: c.createdAt, noteId: c.noteId, cloze: c.cloze, rev: undefined }))}
+              className="px-2 py-1 rounded-md border bg-white"
+            >
+              Reset progress
+            </button>
+            <button onClick={() => removeSelected(selectedIds)} className="px-2 py-1 rounded-md border bg-white text-red-600">Delete</button>
+            <button onClick={onClearSelection} className="px-2 py-1 rounded-md border bg-white">Clear</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** ===================== Print / PDF ===================== */
+/** ------- printable layouts -------
+ * Rendered into a portal next to #root; the print stylesheet (index.css) hides everything
+ * else, so the browser's "Save as PDF" gives the same pages. Cut-out cards come as
+ * front/back page pairs: flipping on the long edge mirrors each row, on the short edge
+ * the rows swap, so every back lands behind its front when printed duplex.
+ */
+const PAPERS = { a4: { label: "A4", w: 210, h: 297 }, letter: { label: "Letter", w: 215.9, h: 279.4 } };
+const PRINT_MARGIN_MM = 10;
+const CARD_GRIDS = { "2x4": [2, 4], "3x3": [3, 3], "2x5": [2, 5], "3x4": [3, 4] };
+
+/** index (on the front page) of the card printed at back-page cell `i` */
+function backCell(i, cols, rows, flip) {
+  const r = Math.floor(i / cols), c = i % cols;
+  return flip === "short" ? (rows - 1 - r) * cols + c : r * cols + (cols - 1 - c);
+}
+/** front and back pages (arrays of cells, null = blank) for cut-out cards */
+function duplexPages(items, cols, rows, flip) {
+  const per = cols * rows, pages = [];
+  for (let p = 0; p < items.length; p += per) {
+    const front = Array.from({ length: per }, (_, i) => items[p + i] ?? null);
+    pages.push({ side: "front", cells: front });
+    pages.push({ side: "back", cells: front.map((_, i) => front[backCell(i, cols, rows, flip)]) });
+  }
+  return pages;
+}
+
+/** one face with its script tagged, so :lang() picks the right CJK font (SC vs JP vs KR glyphs) */
+const PrintFace = ({ text, deck }) => (
+  <div lang={detectLang(text)}><RichText text={text} deck={deck} /></div>
+);
+
+function PrintPages({ layout, items, deck, cols, rows, flip, title }) {
+  if (layout === "glossary") {
+    return (
+      <div className="print-flow">
+        <div className="print-title">{title}</div>
+        <div className="print-glossary">
+          {items.map(it => (
+            <div key={it.key} className="print-entry">
+              <div className="print-term"><PrintFace text={it.front} deck={deck} /></div>
+              <div><PrintFace text={it.back} deck={deck} /></div>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+  return duplexPages(items, cols, rows, flip).map((page, n) => (
+    <div key={n} className="print-page">
+      <div className="print-cards" style={{ "--cols": cols, "--rows": rows }}>
+        {page.cells.map((it, i) => (
+          <div key={i} className={`print-card ${page.side}`}>
+            {it && <PrintFace text={page.side === "front" ? it.front : it.back} deck={deck} />}
+          </div>
+        ))}
+      </div>
+    </div>
+  ));
+}
+
+function PrintDialog({ deckName, mediaDeck, views, visible, viewLabel, onClose }) {
+  const [opts, setOpts] = useState(() => ({ layout: "cards", grid: "2x4", flip: "long", paper: "a4", source: "view", ...load("print_opts", {}) }));
+  useEffect(() => { save("print_opts", opts); }, [opts]);
+  const set = (k) => (e) => setOpts(o => ({ ...o, [k]: e.target.value }));
+  const filtered = visible.length !== views.length;
+  const source = filtered ? opts.source : "deck";
+
+  // one entry per card (first direction shown); cloze cards print with their blank / answer
+  const items = useMemo(() => {
+    const seen = new Set();
+    return (source === "view" ? visible : views).filter(v => !seen.has(v.id) && seen.add(v.id))
+      .map(v => ({ key: v.id, ...facesOf(v.card, v.dir) }));
+  }, [source, visible, views]);
+
+  const [cols, rows] = CARD_GRIDS[opts.grid] || CARD_GRIDS["2x4"];
+  const paper = PAPERS[opts.paper] || PAPERS.a4;
+  const title = `${deckName}${source === "view" ? ` — ${viewLabel}` : ""} (${items.length} card${items.length === 1 ? "" : "s"})`;
+  const pageVars = {
+    "--page-w": `${paper.w - 2 * PRINT_MARGIN_MM}mm`,
+    "--page-h": `${paper.h - 2 * PRINT_MARGIN_MM}mm`,
+  };
+  const pages = <PrintPages layout={opts.layout} items={items} deck={mediaDeck} cols={cols} rows={rows} flip={opts.flip} title={title} />;
+  const preview = <PrintPages layout={opts.layout} items={items.slice(0, opts.layout === "glossary" ? 40 : cols * rows)}
+    deck={mediaDeck} cols={cols} rows={rows} flip={opts.flip} title={title} />;
+  const sel = "px-2 py-1 rounded-md border bg-white text-xs";
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center p-3 bg-black/40" onMouseDown={e => e.stopPropagation()}>
+      <div className="bg-white rounded-2xl border shadow p-4 w-full max-w-[900px] max-h-[90vh] overflow-auto text-left flex flex-col gap-3">
+        <div className="text-sm font-medium">Print / PDF — {title}</div>
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          {filtered && (
+            <label>Cards{" "}
+              <select className={sel} value={opts.source} onChange={set("source")}>
+                <option value="view">{viewLabel} ({new Set(visible.map(v => v.id)).size})</option>
+                <option value="deck">Whole deck ({new Set(views.map(v => v.id)).size})</option>
+              </select>
+            </label>
+          )}
+          <label>Layout{" "}
+            <select className={sel} value={opts.layout} onChange={set("layout")}>
+              <option value="cards">Cut-out cards (double-sided)</option>
+              <option value="glossary">Glossary (two columns)</option>
+            </select>
+          </label>
+          {opts.layout === "cards" && (
+            <>
+              <label>Per page{" "}
+                <select className={sel} value={opts.grid} onChange={set("grid")}>
+                  {Object.entries(CARD_GRIDS).map(([k, [c, r]]) => <option key={k} value={k}>{c} × {r}</option>)}
+                </select>
+              </label>
+              <label title="Match the duplex setting in the print dialog">Flip on{" "}
+                <select className={sel} value={opts.flip} onChange={set("flip")}>
+                  <option value="long">Long edge</option>
+                  <option value="short">Short edge</option>
+                </select>
+              </label>
+            </>
+          )}
+          <label>Paper{" "}
+            <select className={sel} value={opts.paper} onChange={set("paper")}>
+              {Object.entries(PAPERS).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+            </select>
+          </label>
+        </div>
+        <div className="text-xs text-neutral-600">
+          {opts.layout === "cards"
+            ? "Print double-sided at 100% scale (no “fit to page”), then cut along the dashed lines. Backs follow each page of fronts."
+            : "Choose “Save as PDF” as the printer for a file."}
+        </div>
+        <div className="print-preview border rounded-md bg-neutral-100 p-2 overflow-auto max-h-[50vh]" style={pageVars}>{preview}</div>
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-2 rounded-md border bg-white text-sm">Close</button>
+          <button onClick={() => window.print()} disabled={!items.length} className="px-3 py-2 rounded-md border bg-neutral-900 text-white text-sm disabled:opacity-50">
+            🖨 Print…
+          </button>
+        </div>
+      </div>
+      {createPortal(
+        <div className="print-sheet" style={pageVars}>
+          <style>{`@page { size: ${opts.paper === "letter" ? "letter" : "A4"}; margin: ${PRINT_MARGIN_MM}mm; }`}</style>
+          {pages}
+        </div>,
+        document.body,
+      )}
+    </div>
+  );
+}
+
+/** ===================== Import Dialog (CSV / TSV / Anki) ===================== */
+const DELIMITERS = { auto: "Auto", ",": "Comma", "\t": "Tab", ";": "Semicolon", "|": "Pipe" };
+const IMPORT_STATUS = {
+  new: ["New", "bg-emerald-600 text-white"],
+  update: ["Update", "bg-amber-500 text-white"],
+  same: ["Unchanged", "bg-neutral-300"],
+  dup: ["Duplicate in file", "bg-neutral-300"],
+  invalid: ["Missing front/back", "bg-red-600 text-white"],
+};
+
+// `text` is raw CSV/TSV to map by hand; `prepared` is already-mapped rows (Anki), shown as-is
+function ImportDialog({ text = "", prepared, notes = [], fileName, cards, onCancel, onImport }) {
+  const [delimiter, setDelimiter] = useState(fileName.toLowerCase().endsWith(".tsv") ? "\t" : "auto");
+  const delim = delimiter === "auto" ? (sniffDelimiter(text) || ",") : delimiter;
+  const rows = useMemo(() => (prepared ? [] : parseDelimited(text, delim)), [prepared, text, delim]);
+  const ncols = rows.reduce((n, r) => Math.max(n, r.length), 0);
+
+  const [hasHeader, setHasHeader] = useState(() => looksLikeHeader(rows[0]));
+  const header = hasHeader ? rows[0] : null;
+  const body = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+  const [mapping, setMapping] = useState(() => guessMapping(header, ncols));
+  // guessed again whenever the parsed header changes (text, delimiter or the header toggle); rows is memoized
+  useEffect(() => { setMapping(guessMapping(header, ncols)); }, [header, ncols]);
+  const [updateExisting, setUpdateExisting] = useState(true);
+
+  const plan = useMemo(
+    () => planImport(cards, prepared || body.map(r => rowToFields(r, mapping))),
+    [cards, prepared, body, mapping]
+  );
+  const counts = plan.reduce((m, p) => ({ ...m, [p.status]: (m[p.status] || 0) + 1 }), {});
+  const willChange = (counts.new || 0) + (updateExisting ? counts.update || 0 : 0);
+
+  const colName = (col) => header?.[col]?.trim() || `Column ${col + 1}`;
+  const select = "px-2 py-1 rounded-md border bg-white text-xs";
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center p-3 bg-black/40" onMouseDown={e => e.stopPropagation()}>
+      <div className="bg-white rounded-2xl border shadow p-4 w-full max-w-[900px] max-h-[90vh] overflow-auto text-left flex flex-col gap-3">
+        <div className="text-sm font-medium">Import “{fileName}” — {plan.length} rows</div>
+        {notes.map(n => <div key={n} className="text-xs text-amber-700">{n}</div>)}
+
+        {!prepared && <div className="flex items-center gap-3 flex-wrap text-xs">
+          <label>Delimiter{" "}
+            <select className={select} value={delimiter} onChange={e => setDelimiter(e.target.value)}>
+              {Object.entries(DELIMITERS).map(([v, label]) => <option key={label} value={v}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} />
+            First row is a header
+          </label>
+        </div>}
+
+        {!prepared && <div className="flex items-center gap-3 flex-wrap text-xs">
+          {Object.keys(IMPORT_FIELDS).map(k => (
+            <label key={k}>{k === "durationSec" ? "duration" : k}{" "}
+              <select className={select} value={mapping[k]} onChange={e => setMapping(m => ({ ...m, [k]: Number(e.target.value) }))}>
+                <option value={-1}>—</option>
+                {Array.from({ length: ncols }, (_, col) => <option key={col} value={col}>{colName(col)}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>}
+
+        <div className="flex items-center gap-2 flex-wrap text-xs">
+          {Object.entries(IMPORT_STATUS).filter(([k]) => counts[k]).map(([k, [label, cls]]) => (
+            <span key={k} className={`px-2 py-0.5 rounded-full ${cls}`}>{label}: {counts[k]}</span>
+          ))}
+          {!!counts.update && (
+            <label className="flex items-center gap-1 ml-2">
+              <input type="checkbox" checked={updateExisting} onChange={e => setUpdateExisting(e.target.checked)} />
+              Update matching cards (progress is kept)
+            </label>
+          )}
+        </div>
+
+        <table className="w-full text-xs border-collapse">
+          <thead>
+            <tr className="text-neutral-500">
+              <th className="text-left p-1">Status</th><th className="text-left p-1">Front</th>
+              <th className="text-left p-1">Back</th><th className="text-left p-1">Secs</th><th className="text-left p-1">Tags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.slice(0, 12).map((p, n) => (
+              <tr key={n} className="border-t align-top">
+                <td className="p-1 whitespace-nowrap">{IMPORT_STATUS[p.status][0]}</td>
+                <td className="p-1">{p.fields.front}</td>
+                <td className="p-1" style={{ whiteSpace: "pre-wrap" }}>{p.fields.back}</td>
+                <td className="p-1">{p.fields.durationSec ?? ""}</td>
+                <td className="p-1">{(p.fields.tags || []).join(" ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {plan.length > 12 && <div className="text-xs text-neutral-500">…and {plan.length - 12} more</div>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-3 py-2 rounded-md border bg-white">Cancel</button>
+          <button
+            onClick={() => onImport(plan, { updateExisting })}
+            disabled={!willChange || (!prepared && (mapping.front < 0 || mapping.back < 0))}
+            className="px-3 py-2 rounded-md border bg-neutral-900 text-white"
+          >
+            Import {willChange} card{willChange === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
 /** ===================== Study Mode ===================== */
-function StudyMode({ externalFilter = "all", setExternalFilter }) {
-  const { cards, queue, setQueue, replaceCard, byId } = useStudyDeck();
+export function StudyMode({ externalFilter = "all", setExternalFilter }) {
+  const {
+    deckName, mediaDeck, ready, cards, setCards, queue, setQueue, direction, setDirection, log, scheduler, changeScheduler, limits, setLimits, meta, setMeta,
+    replaceCard, byId, views, remember, gradeCard, addCard, updateCards, saveNote, removeCards, moveCard,
+  } = useStudyDeck();
+
+  // local decks (IndexedDB) — switching keeps each deck's own progress
+  const [localDecks, setLocalDecks] = useState([]);
+  useEffect(() => {
+    if (ready) listDeckNames().then(names => setLocalDecks(names.includes(deckName) ? names : [...names, deckName]));
+  }, [ready, deckName]);
+  function newDeck() {
+    const name = prompt("Name of the new deck")?.trim();
+    if (!name) return;
+    if (localDecks.includes(name)) return openDeck(name);
+    putDeck({ name, cards: [], queue: [], direction: "forward", log: [] }).then(() => openDeck(name));
+  }
+  async function removeDeck() {
+    if (!confirm(`Delete the local deck “${deckName}” and its progress? Server copies are not touched.`)) return;
+    const before = await getDeck(deckName);
+    const next = localDecks.find(n => n !== deckName) ?? "default";
+    await deleteDeck(deckName);
+    pushUndo({ label: `Deleted deck “${deckName}”`, name: deckName, before: before ?? null, openBefore: deckName, openAfter: next });
+    openDeck(next);
+  }
 
   // server-side decks
   const [serverDecks, setServerDecks] = useState([]);
   const [serverName, setServerName] = useState(""); // without .json
-  const [deckName, setDeckName] = useState(load("deck_name", "default"));
 
   useEffect(() => {
     fetch(`${API_BASE}cards/list`, { credentials: "include" })
       .then(r => r.json())
       .then(j => {
-        const files = j.files || [];
+        save("server_decks", j.files || []);
+        if (j.default) save("server_default", j.default.replace(/\.json$/, ""));
+        return j.files || [];
+      })
+      .catch(() => load("server_decks", [])) // offline: last known list
+      .then(files => {
         setServerDecks(files);
         const guess = files.includes("cards.json")
           ? "cards"
@@ -155,62 +1280,267 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
 
   async function loadServerDeck() {
     if (!serverName) return;
-    const r = await fetch(`${API_BASE}cards?name=${encodeURIComponent(serverName)}`, { credentials: "include" });
+    const r = await fetch(deckUrl(serverName), { credentials: "include" });
     if (!r.ok) return alert("Failed to load deck from server");
     const obj = await r.json();
+    setDeckRev(deckUrl(serverName), etagOf(r));
     applyDeckFromJson(obj, serverName);
   }
+  // shared library: fork / subscribe, pull updates, per-profile progress overlays
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [printOpen, setPrintOpen] = useState(false);
+  async function addFromLibrary(entry, mode, profile) {
+    const taken = (n) => localDecks.includes(n) && !(mode === "subscribe" && n === deckName && meta.source?.name === entry.name);
+    let name = mode === "fork" ? prompt("Name of your fork", `${entry.name}-fork`)?.trim() : entry.name;
+    if (name && mode === "subscribe" && taken(name)) name = prompt(`A local deck “${name}” exists. Subscribe under another name:`, `${name}-shared`)?.trim();
+    if (!name) return;
+    if (taken(name) && !confirm(`Replace the local deck “${name}”? (Undo brings it back.)`)) return;
+    try {
+      const up = await fetchLibraryDeck(entry.name);
+      const overlay = profile ? await fetchProgress(entry.name, profile) : null;
+      const base = deckFromJson(up.json, name);
+      const cards = applyProgress(up.cards, overlay);
+      const record = {
+        ...base,
+        cards,
+        queue: cards.map(c => c.id),
+        direction: DIRECTIONS.some(([d]) => d === overlay?.direction) ? overlay.direction : base.direction,
+        log: Array.isArray(overlay?.log) ? overlay.log : [],
+        scheduler: overlay?.scheduler ? schedulerFromJson(overlay.scheduler) : base.scheduler,
+        limits: overlay?.limits ? limitsFromJson(overlay.limits) : base.limits,
+        source: { name: entry.name, mode, rev: up.rev, pulledAt: Date.now(), ...(mode === "subscribe" ? { profile } : {}) },
+      };
+      const before = await getDeck(name);
+      await putDeck(record);
+      pushUndo({ label: `${mode === "fork" ? "Forked" : "Subscribed to"} “${entry.name}”`, name, before: before ?? null, openBefore: deckName, openAfter: name });
+      setLibraryOpen(false);
+      openDeck(name);
+    } catch (e) { console.error(e); alert(`Could not get “${entry.name}” from the library: ${e.message}`); }
+  }
+  // new / changed (/ removed, for subscriptions) cards from the library; progress stays as it is
+  async function pullUpdates({ quiet = false } = {}) {
+    const src = meta.source;
+    if (!src) return;
+    try {
+      const up = await fetchLibraryDeck(src.name);
+      if (quiet && up.rev === src.rev) return;
+      const r = pullUpstream(cards, up.cards, src);
+      if (r.added.length || r.removed.length || r.changed) {
+        remember(`Pulled “${src.name}”: ${r.added.length} new, ${r.changed} changed, ${r.removed.length} removed`);
+        const gone = new Set(r.removed);
+        setCards(r.cards);
+        setQueue(q => [...q.filter(id => !gone.has(id)), ...r.added]);
+      } else if (!quiet) alert("Already up to date.");
+      setMeta(m => ({ ...m, source: { ...m.source, rev: up.rev, pulledAt: Date.now() } }));
+    } catch (e) {
+      if (!quiet) alert(`Could not reach the library: ${e.message}`);
+    }
+  }
+  // subscriptions check for updates whenever they are opened, or a deck becomes one; the ref keeps
+  // the check from re-running for every render's new pullUpdates
+  const pullRef = useRef(pullUpdates);
+  useEffect(() => { pullRef.current = pullUpdates; });
+  const subscribedTo = meta.source?.mode === "subscribe" ? meta.source.name : null;
+  useEffect(() => { if (ready && subscribedTo) pullRef.current({ quiet: true }); }, [ready, deckName, subscribedTo]);
+  async function saveProgress() {
+    const { name, profile = load("profile_name", "") } = meta.source;
+    if (!profile) return alert("Set a profile name in the library first.");
+    const status = await enqueueSave(progressUrl(name, profile), progressOf(cards, { deck: name, profile, direction, scheduler, limits, log }));
+    if (status === "synced") alert("Progress saved ✔︎");
+    else if (status === "failed") alert(outboxErrors.get(progressUrl(name, profile)) || "Progress save failed");
+    else if (SAVE_MESSAGES[status]) alert(SAVE_MESSAGES[status]);
+  }
+
+  // media live in <mediaDeck>.media/ — saving under another name needs a copy there too
+  async function carryMedia(target) {
+    if (target === mediaDeck || !usesMedia(cards)) return;
+    try { await copyMedia(mediaDeck, target); } catch (e) { console.error(e); alert(`Media could not be copied to “${target}”: ${e.message}`); }
+  }
+
   async function saveServerDeck() {
     if (!serverName) return alert("Pick a server deck name first");
-    const payload = {
-      name: serverName,
-      cards: cards.map(c => ({ id: c.id, term: c.front, meaning: c.back })),
-      hard:  cards.filter(c => c.lastGrade === 3).map(c => c.id),
-      know:  cards.filter(c => c.lastGrade === 5).map(c => c.id),
-      mark:  cards.filter(c => c.marked).map(c => c.id),
-    };
-    const r = await fetch(`${API_BASE}cards?name=${encodeURIComponent(serverName)}`, {
-      method: "PUT",
-      headers: { "Content-Type":"application/json" },
-      credentials: "include",
-      body: JSON.stringify(payload),
-    });
-    if (!r.ok) return alert("Save failed");
-    alert("Saved ✔︎");
+    await carryMedia(serverName);
+    const payload = deckToJson(cards, serverName, { direction, log, scheduler, limits, description: meta.description });
+    const status = await enqueueSave(deckUrl(serverName), payload, { deck: deckName });
+    if (status === "conflict") setMergeLater(false);
+    if (SAVE_MESSAGES[status]) alert(SAVE_MESSAGES[status]);
+  }
+
+  // stale saves waiting to be merged (may come from a background retry)
+  const [conflicts, setConflictList] = useState(syncConflicts);
+  const [mergeLater, setMergeLater] = useState(false);
+  useEffect(() => {
+    const h = () => setConflictList(syncConflicts());
+    window.addEventListener("outbox:changed", h);
+    return () => window.removeEventListener("outbox:changed", h);
+  }, []);
+  const conflict = mergeLater ? null : conflicts[0];
+  async function resolveConflict(payload) {
+    const { url, rev } = conflict;
+    const name = conflict.deck ?? payload.name; // the server file can be named differently from the local deck
+    setConflicts(syncConflicts().filter(c => c.url !== url));
+    const local = await getDeck(name);
+    if (local) {
+      pushUndo({ label: `Merged deck “${name}”`, name, before: local, openBefore: deckName, openAfter: deckName });
+      // the local deck takes the merge too, keeping its study order
+      const merged = cardsFromDeckJson(payload);
+      const ids = new Set(merged.map(c => c.id));
+      const kept = local.queue.filter(id => ids.has(id));
+      await putDeck({
+        ...local,
+        cards: merged,
+        queue: [...kept, ...merged.map(c => c.id).filter(id => !kept.includes(id))],
+        log: payload.log,
+      });
+      if (name === deckName) openDeck(deckName);
+    }
+    const status = await enqueueSave(url, payload, { rev, deck: name });
+    if (SAVE_MESSAGES[status]) alert(SAVE_MESSAGES[status]);
   }
 
+  // CSV/TSV import dialog (keys are ignored while it is open)
+  const [importDraft, setImportDraft] = useState(null); // { fileName, text } | { fileName, prepared, notes }
+
   // filter driven by header (parent)
   const [filter, setFilter] = useState(externalFilter);
   useEffect(() => setFilter(externalFilter), [externalFilter]);
   useEffect(() => { setExternalFilter?.(filter); }, [filter, setExternalFilter]);
 
-  // visible queue
-  const visibleIds = useMemo(() => {
-    if (filter === "marked") return queue.filter(id => byId(id)?.marked);
-    if (filter === "hard")   return queue.filter(id => byId(id)?.lastGrade === 3);
-    return queue;
-  }, [queue, filter, cards]);
+  // clock for the Due queue (cards become due while you study)
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const t = window.setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  // lapses from this Due session, re-inserted at the end of the queue in fail order
+  const [relearn, setRelearn] = useState([]);
+  useEffect(() => { if (filter !== "due") setRelearn([]); }, [filter]);
+
+
+  // bury: once one cloze sibling is reviewed, the others sit out the Due queue until tomorrow
+  const [bury, setBury] = useState(load("study_bury", false));
+  useEffect(() => { save("study_bury", bury); }, [bury]);
+  const buried = useMemo(() => (bury ? buriedIds(cards, log, now, limits.dayStartHour) : new Set()), [bury, cards, log, now, limits]);
+
+  // today's allowance (new cards / reviews) for the Due session
+  const dayStart = studyDayStart(now, limits.dayStartHour);
+  const { newDone, reviewsDone } = useMemo(() => dayProgress(log, dayStart), [log, dayStart]);
+  const newLeft = Math.max(0, limits.newPerDay - newDone);
+  const reviewsLeft = Math.max(0, limits.reviewsPerDay - reviewsDone);
+
+  // search box (same query language as saved filters) + saved filter chips
+  const [search, setSearch] = useState("");
+  const [savedFilters, setSavedFilters] = useState(load("study_saved_filters", DEFAULT_SAVED_FILTERS));
+  useEffect(() => { save("study_saved_filters", savedFilters); }, [savedFilters]);
+  const savedQuery = filter.startsWith("q:") ? savedFilters.find(f => `q:${f.name}` === filter)?.query : null;
+  useEffect(() => { if (filter.startsWith("q:") && savedQuery == null) setFilter("all"); }, [filter, savedQuery]);
+  const searchFn = useMemo(() => { try { return compileFilter(search); } catch { return null; } }, [search]);
+  const savedFn = useMemo(() => { try { return compileFilter(savedQuery); } catch { return () => false; } }, [savedQuery]);
+  const deckTags = useMemo(() => [...new Set(cards.flatMap(c => c.tags || []))].sort(), [cards]);
+
+  function saveSearch() {
+    const query = search.trim();
+    if (!query || !searchFn) return;
+    const name = prompt("Name for this filter", query)?.trim();
+    if (!name) return;
+    setSavedFilters(fs => [...fs.filter(f => f.name !== name), { name, query }]);
+    setSearch("");
+    setFilter(`q:${name}`); setI(0);
+  }
+  function removeSavedFilter(name) {
+    if (!confirm(`Remove the saved filter “${name}”?`)) return;
+    setSavedFilters(fs => fs.filter(f => f.name !== name));
+  }
+
+  // visible queue: chip filter AND search (an invalid search is ignored, shown in red)
+  const visible = useMemo(() => visibleViews(views, {
+    filter, match: searchFn, saved: savedQuery != null ? savedFn : null, now, buried, relearn, newLeft, reviewsLeft,
+  }), [views, filter, relearn, now, buried, searchFn, savedQuery, savedFn, newLeft, reviewsLeft]);
+
+  // what `visible` is, in words (print titles)
+  const viewLabel = [
+    filter === "all" ? "" : filter.startsWith("q:") ? filter.slice(2) : filter[0].toUpperCase() + filter.slice(1),
+    searchFn && search.trim() ? `“${search.trim()}”` : "",
+  ].filter(Boolean).join(" + ") || "All";
+
+  // soonest upcoming due date, for the "all caught up" screen
+  const nextDue = useMemo(() => {
+    const ds = views.map(v => v.s.due).filter(d => d > now);
+    return ds.length ? Math.min(...ds) : null;
+  }, [views, now]);
+
+  // the Due session: what was graded since it started, shown as a summary once the queue runs dry
+  const [sessionStart, setSessionStart] = useState(Date.now());
+  useEffect(() => { if (filter === "due") setSessionStart(Date.now()); }, [filter, deckName]);
+  const summary = useMemo(() => {
+    if (filter !== "due") return null;
+    const es = log.filter(e => e.ts >= sessionStart && e.mode === "study");
+    if (!es.length) return null;
+    const tomorrowEnd = dayStart + 2 * DAY_MS;
+    const pending = views.filter(v => v.s.due <= now && !buried.has(v.id));
+    return {
+      seen: new Set(es.map(e => viewKey(e.cardId, e.dir))).size,
+      know: es.filter(e => e.grade >= 5).length,
+      hard: es.filter(e => e.grade === 3).length,
+      again: es.filter(e => e.grade < 3).length,
+      // answer times, each capped so a card left open doesn't count as study
+      ms: es.reduce((t, e) => t + Math.min(e.ms ?? 0, 120000), 0),
+      held: { reviews: pending.filter(v => !isNewView(v)).length, fresh: pending.filter(isNewView).length },
+      tomorrow: {
+        reviews: Math.min(limits.reviewsPerDay, views.filter(v => !isNewView(v) && v.s.due < tomorrowEnd).length),
+        fresh: Math.min(limits.newPerDay, views.filter(isNewView).length),
+      },
+    };
+  }, [filter, log, sessionStart, views, now, buried, dayStart, limits]);
 
   // index within visible list
   const [i, setI] = useState(0);
-  useEffect(() => { if (i >= visibleIds.length) setI(Math.max(0, visibleIds.length - 1)); }, [visibleIds.length, i]);
-  const current = byId(visibleIds[i]);
+  useEffect(() => { if (i >= visible.length) setI(Math.max(0, visible.length - 1)); }, [visible.length, i]);
+  useEffect(() => { setI(0); }, [search]);
+  const currentView = visible[i];
+  const current = currentView?.card;
+  const faces = current && facesOf(current, currentView.dir);
+  // time-to-answer for the review log
+  const shownAt = useRef(Date.now());
+  useEffect(() => { shownAt.current = Date.now(); }, [currentView?.key]);
+
+  // flip (overlay swap)
+  const [flipped, setFlipped] = useState(false);
+
+  // speech: S reads the visible face; auto-play reads the front on arrival (and the back on flip)
+  const voices = useVoices();
+  const [tts, setTts] = useTtsSettings();
+  const deckLangs = useMemo(() => {
+    const found = new Set(cards.flatMap(c => [detectLang(c.front), detectLang(c.back)]));
+    return Object.keys(TTS_LANGS).filter(l => found.has(l));
+  }, [cards]);
+  const speakFace = () => faces && speak(flipped ? faces.back : faces.front, tts, voices);
 
   function jumpRandom() {
-    if (!visibleIds.length) return;
-    let ni = Math.floor(Math.random() * visibleIds.length);
-    if (visibleIds.length > 1 && ni === i) ni = (ni + 1) % visibleIds.length;
+    if (!visible.length) return;
+    let ni = Math.floor(Math.random() * visible.length);
+    if (visible.length > 1 && ni === i) ni = (ni + 1) % visible.length;
     setI(ni);
     setFlipped(false);
   }
 
+  // in the Due queue ↑ is a lapse: relearn step + another go later this session
+  const hardGrade = filter === "due" ? 1 : 3;
+  // four-button grading: ↑ Again • ↓ Good, and once the answer shows ← Hard • → Easy
+  const [buttons, setButtons] = useState(load("study_buttons", 2));
+  useEffect(() => { save("study_buttons", buttons); }, [buttons]);
+  const four = buttons === 4;
+  const upGrade = four ? 1 : hardGrade;
+  const sideGrades = four && flipped;
+
   const isMobile = typeof navigator !== "undefined" && /iPhone|iPad|Android/i.test(navigator.userAgent);
 
   // swipe + keys
   const handlers = useSwipeable({
-    onSwipedLeft:  () => setI(v => Math.min(visibleIds.length - 1, v + 1)),
-    onSwipedRight: () => setI(v => Math.max(0, v - 1)),
-    onSwipedUp:    () => { if (!isMobile) grade(3); },
+    onSwipedLeft:  () => (sideGrades ? grade(3) : setI(v => Math.min(visible.length - 1, v + 1))),
+    onSwipedRight: () => (sideGrades ? grade(6) : setI(v => Math.max(0, v - 1))),
+    onSwipedUp:    () => { if (!isMobile) grade(upGrade); },
     onSwipedDown:  () => { if (!isMobile) grade(5); },
     trackMouse: true,
     preventScrollOnSwipe: false,
@@ -218,30 +1548,52 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
     delta: 20,
   });
 
-  useEffect(() => {
+  // bound at commit, not after paint: a key pressed right after the deck loads must not reach
+  // the previous render's handler (which still sees an empty list and moves to index -1)
+  useLayoutEffect(() => {
     function onKey(e) {
       if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target?.tagName)) return;
+      if (importDraft || conflict || libraryOpen || printOpen) return;
       const k = e.key.toLowerCase();
-      if (k === "arrowleft") setI(v => Math.max(0, v - 1));
-      else if (k === "arrowright" || k === "enter") setI(v => Math.min(visibleIds.length - 1, v + 1));
-      else if (k === "arrowup") grade(3);
+      if (k === "arrowleft" && sideGrades) grade(3);
+      else if (k === "arrowright" && sideGrades) grade(6);
+      else if (k === "arrowleft") setI(v => Math.max(0, v - 1));
+      else if (k === "arrowright" || k === "enter") setI(v => Math.min(visible.length - 1, v + 1));
+      else if (k === "arrowup") grade(upGrade);
       else if (k === "arrowdown" || k === " ") { e.preventDefault(); grade(5); }
+      else if (four && GRADES[Number(k) - 1]) grade(GRADES[Number(k) - 1][0]);
       else if (k === "f") setFlipped(f => !f);
       else if (k === "r") jumpRandom();
+      else if (k === "s") speakFace();
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [visibleIds.length, current]);
+  }, [visible.length, currentView, upGrade, sideGrades, four, importDraft, conflict, libraryOpen, printOpen, flipped, tts, voices]);
 
-  // flip (overlay swap)
-  const [flipped, setFlipped] = useState(false);
+  // only a new card or a flip speaks; settings changes and late-loading voices must not replay it
+  useEffect(() => {
+    if (tts.auto === "off" || !faces) return;
+    if (!flipped) speak(faces.front, tts, voices);
+    else if (tts.auto === "both") speak(faces.back, tts, voices);
+  }, [currentView?.key, flipped, tts.auto]); // eslint-disable-line react-hooks/exhaustive-deps
+  useEffect(() => () => { if (canSpeak) speechSynthesis.cancel(); }, []);
   function grade(g) {
     if (!current) return;
-    const updated = schedule(current, g);
-    replaceCard(updated);
-    if (g === 5) setI(v => Math.min(visibleIds.length - 1, v + 1));
+    gradeCard(current, currentView.dir, g, { ms: Date.now() - shownAt.current, mode: "study" });
+    shownAt.current = Date.now();
+    if (filter === "due") {
+      // graded cards leave the due list, so the same index is already the next card
+      const k = currentView.key;
+      setRelearn(r => g < 3 ? [...r.filter(x => x !== k), k] : r.filter(x => x !== k));
+      setNow(Date.now());
+    } else if (g >= 5) setI(v => Math.min(visible.length - 1, v + 1));
     setFlipped(false);
   }
+  // what each grade would schedule next, for the four-button row
+  const previews = useMemo(() => (four && currentView
+    ? Object.fromEntries(GRADES.map(([g]) => [g, fmtDuration(schedule(currentView.s, g, scheduler).interval * DAY_MS)]))
+    : {}), [four, currentView, scheduler]);
 
   // absolute index (1-based)
   const absoluteIdx = useMemo(() => {
@@ -253,7 +1605,7 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
   const countText = current ? (
     <>
       Card <span className="font-semibold">{i + 1}</span>/
-      <span className="font-semibold">{visibleIds.length}</span>
+      <span className="font-semibold">{visible.length}</span>
       <span className="mx-1 text-neutral-400">•</span>
       <span className="text-neutral-700">
         #<span className="font-semibold">{absoluteIdx}</span>/
@@ -262,32 +1614,45 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
       <span className="mx-1 text-neutral-400">•</span>
       <span className="text-neutral-700">
         ID: <span className="font-semibold">{current.id}</span>
+        {currentView.dir === "reverse" && <> (back → front)</>}
       </span>
+      {current.tags?.length > 0 && (
+        <>
+          <span className="mx-1 text-neutral-400">•</span>
+          <span className="text-neutral-500">{current.tags.map(t => `#${t}`).join(" ")}</span>
+        </>
+      )}
     </>
-  ) : <>No cards</>;
+  ) : <>{ready ? "No cards" : "Loading…"}</>;
+
+  // matrix cells, with each run of consecutive cloze siblings as one group
+  const matrixGroups = useMemo(() => visible.reduce((groups, v, idx) => {
+    const last = groups[groups.length - 1];
+    if (v.card.noteId && last?.[0].v.card.noteId === v.card.noteId) last.push({ v, idx });
+    else groups.push([{ v, idx }]);
+    return groups;
+  }, []), [visible]);
+
+  // matrix selection (bulk edit) + drag-to-reorder
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const selectedSet = useMemo(() => new Set(selected), [selected]);
+  const toggleSelected = (id) => setSelected(s => s.includes(id) ? s.filter(x => x !== id) : [...s, id]);
+  const [dragId, setDragId] = useState(null);
+  useEffect(() => {
+    // drop selections for deleted cards
+    setSelected(s => { const next = s.filter(id => byId(id)); return next.length === s.length ? s : next; });
+  }, [byId]);
 
   // ---- local JSON apply/choose/save (kept) ----
-  function applyDeckFromJson(obj, name = "custom") {
+  // loads into the local deck of the same name (replacing it) and opens it; other decks are untouched
+  async function applyDeckFromJson(obj, name = "custom") {
     try {
-      const hard = new Set(obj.hard || []);
-      const know = new Set(obj.know || []);
-      const mark = new Set(obj.mark || []);
-      const next = (obj.cards || []).map((c, idx) => ({
-        id: c.id ?? `r${idx}`,
-        front: c.term,
-        back: typeof fixText === "function" ? fixText(c.meaning) : c.meaning,
-        durationSec: 12,
-        ease: 2.5, interval: 0, reps: 0, due: Date.now(),
-        lastGrade: know.has(c.id) ? 5 : hard.has(c.id) ? 3 : 0,
-        marked: mark.has(c.id),
-      }));
-      save("study_cards", next);
-      const ids = next.map(c => c.id);
-      setQueue(ids);
-      save("study_queue", ids);
-      setDeckName(name);
-      save("deck_name", name);
-      window.dispatchEvent(new CustomEvent("cardsjson:loaded"));
+      const next = deckFromJson(obj, name);
+      const before = await getDeck(name);
+      await putDeck(next);
+      pushUndo({ label: `Loaded deck “${name}”`, name, before: before ?? null, openBefore: deckName, openAfter: name });
+      openDeck(name);
     } catch (e) { console.error(e); alert("Invalid JSON"); }
   }
   async function onChooseJson(ev) {
@@ -296,23 +1661,53 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
     applyDeckFromJson(obj, f.name.replace(/\.[^.]+$/, ""));
     ev.target.value = "";
   }
-  async function saveDeck() {
-    const payload = {
-      name: deckName,
-      cards: cards.map(c => ({ id: c.id, term: c.front, meaning: c.back })),
-      hard: cards.filter(c => c.lastGrade === 3).map(c => c.id),
-      know: cards.filter(c => c.lastGrade === 5).map(c => c.id),
-      mark: cards.filter(c => c.marked).map(c => c.id),
-    };
+  // ---- CSV/TSV import: preview dialog, then merge into the current deck ----
+  async function onChooseCsv(ev) {
+    const f = ev.target.files?.[0]; if (!f) return;
+    setImportDraft({ text: await f.text(), fileName: f.name });
+    ev.target.value = "";
+  }
+  async function onChooseAnki(ev) {
+    const f = ev.target.files?.[0]; if (!f) return;
+    ev.target.value = "";
     try {
-      await fetch(`${API_BASE}cards`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        credentials: "include",
-        body: JSON.stringify(payload)
-      });
-      alert("Deck saved.");
-    } catch (e) { console.error(e); alert("Save failed"); }
+      if (/\.(apkg|colpkg)$/i.test(f.name)) {
+        const { rows, notes } = await parseApkg(await f.arrayBuffer());
+        setImportDraft({ fileName: f.name, prepared: rows, notes });
+      } else {
+        setImportDraft({ fileName: f.name, prepared: parseAnkiText(await f.text()) });
+      }
+    } catch (e) { console.error(e); alert(`Anki import failed: ${e.message}`); }
+  }
+  function exportAnki() {
+    const blob = new Blob([deckToAnkiText(queue.map(byId).filter(Boolean), deckName)], { type: "text/plain" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `${deckName}.anki.txt`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+  function applyImport(plan, { updateExisting }) {
+    const now = Date.now();
+    const updates = new Map(updateExisting ? plan.filter(p => p.status === "update").map(p => [p.targetId, p.fields]) : []);
+    // new cards keep imported review state (Anki); existing ones keep ours
+    const added = plan.filter(p => p.status === "new").flatMap(p => expandCloze(newCard({ ...p.fields, ...p.progress, id: p.id })));
+    // an update to one cloze sibling is an update to its whole note
+    const noteOf = new Map(cards.filter(c => c.noteId).map(c => [c.id, c.noteId]));
+    for (const [id, fields] of [...updates]) if (noteOf.has(id)) updates.set(`note:${noteOf.get(id)}`, fields);
+    const updateFor = (c) => updates.get(c.id) ?? (c.noteId && updates.get(`note:${c.noteId}`));
+    remember(`Imported ${added.length} new / ${cards.filter(updateFor).length} updated`);
+    setCards(cs => [...cs.map(c => updateFor(c) ? { ...c, ...updateFor(c), updatedAt: now } : c), ...added]);
+    setQueue(q => [...q, ...added.map(c => c.id)]);
+    setImportDraft(null);
+  }
+
+  async function saveDeck() {
+    await carryMedia(serverDeckName("default"));
+    const payload = deckToJson(cards, deckName, { direction, log, scheduler, limits, description: meta.description });
+    const status = await enqueueSave(deckUrl(), payload, { deck: deckName });
+    if (status === "conflict") setMergeLater(false);
+    if (SAVE_MESSAGES[status]) alert(SAVE_MESSAGES[status]);
   }
 
   return (
@@ -356,14 +1751,14 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
                         overflow: "auto",
                         WebkitOverflowScrolling: "touch",
                         overscrollBehavior: "contain",
-                        whiteSpace: "pre-wrap",
                         overflowWrap: "anywhere",
                         lineHeight: 1.25,
                         // responsive type: small phones → big desktops
                         fontSize: "clamp(20px, 6vw, 64px)",
                       }}
                     >
-                      {current.front}
+                      <RichText text={faces.front} deck={mediaDeck} />
+                      <CardMedia media={current.media} side={faces.frontSide} />
                     </div>
                   </div>
 
@@ -378,16 +1773,48 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
                         overflow: "auto",
                         WebkitOverflowScrolling: "touch",
                         overscrollBehavior: "contain",
-                        whiteSpace: "pre-wrap",
                         overflowWrap: "anywhere",
                         lineHeight: 1.25,
                         fontSize: "clamp(16px, 4.5vw, 32px)",
                       }}
                     >
-                      {fixText(current.back)}
+                      <RichText text={faces.back} deck={mediaDeck} />
+                      <CardMedia media={current.media} side={faces.backSide} />
                     </div>
                   </div>
                 </button>
+              ) : filter === "due" && cards.length ? (
+                <div className="grid place-items-center text-neutral-500 min-h-[200px] text-center">
+                  {summary ? (
+                    <div>
+                      <div className="text-lg font-semibold text-neutral-700">Session complete ✔︎</div>
+                      <div className="mt-2 grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+                        {[["Cards seen", summary.seen], ["Know", summary.know], ["Hard", summary.hard], ["Again", summary.again]].map(([label, n]) => (
+                          <div key={label} className="rounded-lg border px-3 py-2">
+                            <div className="text-xl font-semibold text-neutral-800">{n}</div>
+                            <div className="text-xs">{label}</div>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="text-sm mt-2">Time spent: <b>{fmtDuration(summary.ms)}</b></div>
+                      {(summary.held.reviews > 0 || summary.held.fresh > 0) && (
+                        <div className="text-sm mt-1">
+                          Daily limit reached — {summary.held.reviews} review{summary.held.reviews === 1 ? "" : "s"} and {summary.held.fresh} new held back
+                        </div>
+                      )}
+                      <div className="text-sm mt-1">
+                        Tomorrow: <b>{summary.tomorrow.reviews}</b> review{summary.tomorrow.reviews === 1 ? "" : "s"} + <b>{summary.tomorrow.fresh}</b> new
+                      </div>
+                    </div>
+                  ) : (
+                    <div>
+                      <div className="text-lg font-semibold text-neutral-700">All caught up ✔︎</div>
+                      <div className="text-sm mt-1">
+                        {nextDue ? <>Next card due in <b>{fmtDuration(nextDue - now)}</b></> : <>Nothing scheduled.</>}
+                      </div>
+                    </div>
+                  )}
+                </div>
               ) : (
                 <div className="grid place-items-center text-neutral-500 min-h-[200px]">
                   Add <code>public/cards.json</code> then reload, or choose a JSON file.
@@ -398,11 +1825,28 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
 
 
 
+          {four && current && (
+            <div className="px-3 grid grid-cols-4 gap-2" onMouseDown={e => e.stopPropagation()}>
+              {GRADES.map(([g, label]) => (
+                <button
+                  key={g}
+                  onClick={() => grade(g)}
+                  className={`px-2 py-1 rounded-md border text-xs ${g === 1 ? "text-red-600" : g === 3 ? "text-amber-600" : g === 5 ? "text-emerald-700" : "text-sky-700"} bg-white`}
+                >
+                  <div className="font-medium">{label}</div>
+                  <div className="text-neutral-500">{previews[g]}</div>
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* footer — hint + count left • mark/random/filters right */}
           <div className="px-3 py-2 pb-[max(0px,env(safe-area-inset-bottom))] flex items-center justify-between gap-3 flex-wrap">
             <div className="flex flex-col">
               <div className="text-xs text-neutral-500">
-                Swipe ←/→ • ↑ = Hard • ↓/Space = Know • Tap to flip • R = Random
+                {four
+                  ? <>Swipe ←/→ (once flipped: ← Hard • → Easy) • ↑ = Again • ↓/Space = Good • 1–4 • Tap to flip • R = Random • S = Speak</>
+                  : <>Swipe ←/→ • ↑ = {filter === "due" ? "Again" : "Hard"} • ↓/Space = Know • Tap to flip • R = Random • S = Speak</>}
               </div>
               <div className="text-xs text-neutral-700 mt-1">{countText}</div>
             </div>
@@ -410,13 +1854,22 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
             <div className="flex items-center gap-2 flex-wrap">
               {current && (
                 <button
-                  onClick={() => replaceCard({ ...current, marked: !current.marked })}
+                  onClick={() => { remember(`${current.marked ? "Unmarked" : "Marked"} “${shortLabel(current.front)}”`); replaceCard({ ...current, marked: !current.marked }); }}
                   className={`px-3 py-1 rounded-md border text-xs ${current.marked ? "bg-purple-600 text-white" : "bg-white"}`}
                   title="Toggle mark (M)"
                 >
                   ✳︎ Mark
                 </button>
               )}
+              {current && canSpeak && (
+                <button
+                  onClick={speakFace}
+                  className="px-3 py-1 rounded-md border text-xs bg-white"
+                  title="Read the visible side aloud (S)"
+                >
+                  🔊 Speak
+                </button>
+              )}
               <button
                 onClick={jumpRandom}
                 className="px-3 py-1 rounded-md border text-xs bg-white"
@@ -424,8 +1877,15 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
               >
                 🎲 Random
               </button>
+              <button
+                onClick={() => setPrintOpen(true)}
+                className="px-3 py-1 rounded-md border text-xs bg-white"
+                title="Printable cut-out cards or a glossary of the current view (or PDF via the print dialog)"
+              >
+                🖨 Print
+              </button>
               <span className="hidden sm:inline-block w-px h-5 bg-neutral-300 mx-1" />
-              {["all", "marked", "hard"].map(f => (
+              {["all", "due", "marked", "hard"].map(f => (
                 <button
                   key={f}
                   onClick={() => { setFilter(f); setI(0); }}
@@ -435,6 +1895,50 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
                   {f[0].toUpperCase() + f.slice(1)}
                 </button>
               ))}
+              {savedFilters.map(({ name, query }) => (
+                <button
+                  key={name}
+                  onClick={() => { setFilter(`q:${name}`); setI(0); }}
+                  onContextMenu={e => { e.preventDefault(); removeSavedFilter(name); }}
+                  className={`px-2 py-1 rounded-full border border-dashed text-xs ${filter === `q:${name}` ? "bg-neutral-900 text-white" : "bg-white"}`}
+                  title={`${query} — right-click to remove`}
+                >
+                  {name}
+                </button>
+              ))}
+              {filter === "due" && (
+                <span className="text-xs text-neutral-600" title={`Limits reset at ${String(limits.dayStartHour).padStart(2, "0")}:00`}>
+                  Today: {newLeft} new • {reviewsLeft} reviews left
+                </span>
+              )}
+              {filter === "due" && cards.some(c => c.noteId) && (
+                <label className="flex items-center gap-1 text-xs" title="After one cloze card of a note, skip its siblings until tomorrow">
+                  <input type="checkbox" checked={bury} onChange={e => setBury(e.target.checked)} />
+                  Bury siblings{buried.size ? ` (${buried.size})` : ""}
+                </label>
+              )}
+            </div>
+            <div className="w-full flex items-center gap-2">
+              <input
+                className={`flex-1 min-w-0 px-2 py-1 rounded-md border text-xs ${searchFn ? "bg-white" : "bg-red-50 border-red-400"}`}
+                placeholder='Search… e.g. tag:verbs AND hard, "a phrase", -known, (due OR new)'
+                title="Words AND together; AND / OR / NOT, -word and ( ) compose. tag:x, tag:none, due, new, hard, known, marked, cloze, front:… back:…"
+                list="study-tags"
+                value={search}
+                onChange={e => setSearch(e.target.value)}
+                onKeyDown={e => { if (e.key === "Escape") setSearch(""); }}
+              />
+              <datalist id="study-tags">
+                {deckTags.map(t => <option key={t} value={`tag:${t}`} />)}
+              </datalist>
+              <button
+                onClick={saveSearch}
+                disabled={!search.trim() || !searchFn}
+                className="px-2 py-1 rounded-md border text-xs bg-white disabled:opacity-50"
+                title="Save this search as a filter chip"
+              >
+                ☆ Save filter
+              </button>
             </div>
           </div>
         </div>
@@ -443,6 +1947,17 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
         <div className="mt-3 rounded-xl border bg-white p-3">
           <div className="text-xs font-medium mb-2">Deck Controls</div>
           <div className="flex flex-wrap items-center gap-2">
+            <select
+              className="px-2 py-2 rounded-md border bg-white"
+              value={deckName}
+              onChange={e => openDeck(e.target.value)}
+              title="Local decks (kept in this browser, each with its own progress)"
+            >
+              {localDecks.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+            <button onClick={newDeck} className="px-3 py-2 rounded-md border bg-white">New Deck</button>
+            <button onClick={removeDeck} className="px-3 py-2 rounded-md border bg-white">Delete Deck</button>
+            <span className="hidden sm:inline-block w-px h-5 bg-neutral-300 mx-1" />
             <select
               className="px-2 py-2 rounded-md border bg-white"
               value={serverName}
@@ -454,12 +1969,51 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
             </select>
             <button onClick={loadServerDeck} className="px-3 py-2 rounded-md border bg-white">Load Server Deck</button>
             <button onClick={saveServerDeck} className="px-3 py-2 rounded-md border bg-white">Save to Server</button>
+            <button onClick={() => setLibraryOpen(true)} className="px-3 py-2 rounded-md border bg-white">📚 Library</button>
+            {meta.source && (
+              <>
+                <span className="text-xs text-neutral-600">
+                  {meta.source.mode === "fork" ? "Fork of" : "Subscribed to"} <b>{meta.source.name}</b>
+                  {meta.source.profile && <> as {meta.source.profile}</>}
+                </span>
+                <button onClick={() => pullUpdates()} className="px-3 py-2 rounded-md border bg-white" title="New and changed cards from the library; progress is kept">
+                  ⟳ Pull updates
+                </button>
+                {meta.source.mode === "subscribe" && (
+                  <button onClick={saveProgress} className="px-3 py-2 rounded-md border bg-white" title="Save your progress (not the deck) to the server">
+                    Save progress
+                  </button>
+                )}
+              </>
+            )}
             <span className="hidden sm:inline-block w-px h-5 bg-neutral-300 mx-1" />
             <label className="px-3 py-2 rounded-md border bg-white cursor-pointer">
               Choose JSON (local)
               <input type="file" accept="application/json" className="hidden" onChange={onChooseJson} />
             </label>
+            <label className="px-3 py-2 rounded-md border bg-white cursor-pointer">
+              Import CSV/TSV
+              <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" className="hidden" onChange={onChooseCsv} />
+            </label>
+            <label className="px-3 py-2 rounded-md border bg-white cursor-pointer">
+              Import Anki (.apkg/.txt)
+              <input type="file" accept=".apkg,.colpkg,.txt" className="hidden" onChange={onChooseAnki} />
+            </label>
+            <button onClick={exportAnki} className="px-3 py-2 rounded-md border bg-white">Export Anki (.txt)</button>
             <button onClick={saveDeck} className="px-3 py-2 rounded-md border bg-white">Save (default)</button>
+            {mergeLater && conflicts.length > 0 && (
+              <button onClick={() => setMergeLater(false)} className="px-3 py-2 rounded-md border bg-amber-100 text-amber-800">
+                Merge conflict…
+              </button>
+            )}
+            <select
+              className="px-2 py-2 rounded-md border bg-white"
+              value={direction}
+              onChange={e => { setDirection(e.target.value); setI(0); setFlipped(false); }}
+              title="Study direction (saved with the deck)"
+            >
+              {DIRECTIONS.map(([d, label]) => <option key={d} value={d}>{label}</option>)}
+            </select>
             <div className="text-xs text-neutral-600">
               <span className="font-medium">Deck:</span> {deckName}
               <span className="mx-1 text-neutral-400">•</span> Total: {cards.length}
@@ -467,57 +2021,201 @@ function StudyMode({ externalFilter = "all", setExternalFilter }) {
           </div>
         </div>
 
-        {/* Matrix */}
-        <details className="mt-3 rounded-xl border bg-white" open>
-          <summary className="cursor-pointer p-3 text-sm font-medium select-none">Card Matrix</summary>
-          <div className="p-3 pt-0">
-            <div className="grid grid-cols-6 gap-2">
-              {visibleIds.map((id, idx) => {
-                const c = byId(id);
-                const currentHere = idx === i;
-                const classes = [
-                  "h-8 rounded-md text-xs font-medium",
-                  c?.lastGrade === 5 ? "bg-emerald-600 text-white" : "bg-neutral-300",
-                  currentHere ? "ring-2 ring-blue-500" : "",
-                  c?.marked ? "ring-2 ring-purple-500" : "",
-                  c?.lastGrade === 3 ? "ring-2 ring-amber-500" : "",
-                ].join(" ");
-                return (
-                  <button
-                    key={id}
-                    onClick={() => setI(idx)}
-                    className={classes}
-                    title={`${c?.id} — ${c?.front}`}
-                  >
-                    {idx + 1}
-                  </button>
-                );
-              })}
+        {/* Scheduling */}
+        <div className="mt-3 rounded-xl border bg-white p-3">
+          <div className="text-xs font-medium mb-2">Scheduling</div>
+          <SchedulerSettings scheduler={scheduler} onChange={changeScheduler} log={log} buttons={buttons} setButtons={setButtons} />
+        </div>
+
+        {/* Daily limits */}
+        <div className="mt-3 rounded-xl border bg-white p-3">
+          <div className="text-xs font-medium mb-2">Daily limits (Due)</div>
+          <LimitsSettings limits={limits} setLimits={setLimits} />
+        </div>
+
+        {/* Speech */}
+        <div className="mt-3 rounded-xl border bg-white p-3">
+          <div className="text-xs font-medium mb-2">Speech</div>
+          <SpeechSettings tts={tts} setTts={setTts} voices={voices} langs={deckLangs.length ? deckLangs : ["en"]} />
+        </div>
+
+        {/* Matrix + editor (mouse drags here are edits, not card swipes) */}
+        <div className="mt-3 grid grid-cols-1 lg:grid-cols-2 gap-3" onMouseDown={e => e.stopPropagation()}>
+          <details className="rounded-xl border bg-white" open>
+            <summary className="cursor-pointer p-3 text-sm font-medium select-none">Card Matrix</summary>
+            <div className="p-3 pt-0">
+              <div className="flex items-center gap-2 mb-2 text-xs">
+                <button
+                  onClick={() => { setSelecting(v => !v); setSelected([]); }}
+                  className={`px-2 py-1 rounded-full border ${selecting ? "bg-neutral-900 text-white" : "bg-white"}`}
+                  title="Select cells for bulk edit"
+                >
+                  Select
+                </button>
+                {selecting && (
+                  <button onClick={() => setSelected([...new Set(visible.map(v => v.id))])} className="px-2 py-1 rounded-full border bg-white">All visible</button>
+                )}
+                {filter !== "due" && <span className="text-neutral-500">Drag a cell to reorder</span>}
+              </div>
+              <div className="grid grid-cols-6 gap-2">
+                {matrixGroups.map(group => {
+                  const cells = group.map(({ v, idx }) => {
+                    const { id, card: c, s: st } = v;
+                    const currentHere = idx === i;
+                    const classes = [
+                      "h-8 rounded-md text-xs font-medium",
+                      st.lastGrade >= 5 ? "bg-emerald-600 text-white" : "bg-neutral-300",
+                      currentHere ? "ring-2 ring-blue-500" : "",
+                      c.marked ? "ring-2 ring-purple-500" : "",
+                      isHard(st) ? "ring-2 ring-amber-500" : "",
+                      selectedSet.has(id) ? "outline outline-2 outline-offset-1 outline-sky-500" : "",
+                      dragId === id ? "opacity-50" : "",
+                    ].join(" ");
+                    return (
+                      <button
+                        key={v.key}
+                        onClick={() => selecting ? toggleSelected(id) : setI(idx)}
+                        className={classes}
+                        title={`${c.id} — ${c.front}${v.dir === "reverse" ? " (back → front)" : ""}`}
+                        draggable={filter !== "due"}
+                        onDragStart={() => setDragId(id)}
+                        onDragOver={e => { if (dragId) e.preventDefault(); }}
+                        onDrop={e => { e.preventDefault(); if (dragId) moveCard(dragId, id); setDragId(null); }}
+                        onDragEnd={() => setDragId(null)}
+                      >
+                        {idx + 1}{v.dir === "reverse" && "↺"}{c.cloze && <sup>c{c.cloze}</sup>}
+                      </button>
+                    );
+                  });
+                  // a cloze note's siblings share one framed run
+                  return group.length > 1 ? (
+                    <div
+                      key={`note:${group[0].v.key}`}
+                      className="flex gap-1 p-0.5 rounded-lg border border-dashed border-neutral-400"
+                      style={{ gridColumn: `span ${Math.min(group.length, 6)}` }}
+                      title={`Cloze note — ${group.length} cards`}
+                    >
+                      {cells.map(cell => <div key={cell.key} className="flex-1 min-w-0 [&>button]:w-full">{cell}</div>)}
+                    </div>
+                  ) : cells;
+                })}
+              </div>
             </div>
-          </div>
-        </details>
+          </details>
+
+          <details className="rounded-xl border bg-white" open>
+            <summary className="cursor-pointer p-3 text-sm font-medium select-none">Card Editor</summary>
+            <CardEditor
+              key={current?.id || "none"}
+              mediaDeck={mediaDeck}
+              current={current}
+              selectedIds={selected}
+              onAdd={addCard}
+              onUpdate={updateCards}
+              onSaveNote={saveNote}
+              onRemove={removeCards}
+              onClearSelection={() => setSelected([])}
+            />
+          </details>
+        </div>
       </section>
       <aside className="hidden md:block col-span-1" />
+
+      {importDraft && (
+        <ImportDialog
+          {...importDraft}
+          cards={cards}
+          onCancel={() => setImportDraft(null)}
+          onImport={applyImport}
+        />
+      )}
+      {printOpen && (
+        <PrintDialog deckName={deckName} mediaDeck={mediaDeck} views={views} visible={visible} viewLabel={viewLabel} onClose={() => setPrintOpen(false)} />
+      )}
+      {libraryOpen && (
+        <LibraryDialog localDecks={localDecks} onClose={() => setLibraryOpen(false)} onAdd={addFromLibrary} />
+      )}
+      {conflict && !importDraft && (
+        <MergeDialog
+          key={`${conflict.url}@${conflict.at}`}
+          conflict={conflict}
+          onLater={() => setMergeLater(true)}
+          onResolve={resolveConflict}
+        />
+      )}
     </div>
   );
 }
 
 /** ===================== Minimal Test ===================== */
-function TestMode() {
+/** ------- "say the front" (pronunciation) -------
+ * The server aligns the transcript with the front word by word. Each scored attempt is kept in
+ * the deck's `pronunciation` ({ [item id]: [{ ts, score, heard }] }, newest last) and grades the
+ * card — Good when clear, Hard / Again when weak — so shaky words come back sooner.
+ * Stub transcripts (no Whisper on the server) are shown but neither kept nor graded.
+ */
+const PRON_HISTORY_MAX = 20;
+const pronGrade = (score) => (score >= 0.85 ? 5 : score >= 0.6 ? 3 : 1);
+const PRON_STYLES = { ok: "text-emerald-700", close: "bg-amber-100 text-amber-800", miss: "bg-red-100 text-red-700 line-through" };
+
+function PronouncedWords({ words, extra }) {
+  return (
+    <div className="text-sm flex flex-wrap gap-x-1.5 gap-y-0.5 items-baseline" lang={detectLang(words.map(w => w.word).join(""))}>
+      {words.map((w, i) => (
+        <span key={i} className={`px-0.5 rounded ${PRON_STYLES[w.status] || ""}`}
+          title={w.status === "ok" ? "Heard" : w.heard ? `Heard “${w.heard}”` : "Not heard"}>
+          {w.word}
+        </span>
+      ))}
+      {!!extra?.length && <span className="text-xs text-neutral-500">(also heard: {extra.join(" ")})</span>}
+    </div>
+  );
+}
+
+export function TestMode() {
+  const { deckName, ready, queue, byId, gradeCard, meta, setMeta } = useStudyDeck();
+  const [source, setSource] = useState(load("test_source", "deck")); // deck (the open deck) | custom
   const [deckRaw, setDeckRaw] = useState(load("test_deckRaw", SAMPLE));
   const [secondsPerCard, setSecondsPerCard] = useState(load("test_secondsPerCard", 12));
-  const [stage, setStage] = useState("setup"); // setup | running | review
-  const deck = useMemo(() => parseDeck(deckRaw, secondsPerCard), [deckRaw, secondsPerCard]);
+  const [stage, setStage] = useState("setup"); // setup | running | retake | review
+  const [direction, setDirection] = useState(load("test_direction", "forward"));
+  const [kind, setKind] = useState(load("test_kind", "meaning")); // meaning (say the back) | pronounce (read the front)
+  const baseCards = useMemo(() => (source === "deck" ? queue.map(byId).filter(Boolean) : parseDeck(deckRaw, secondsPerCard))
+    .map(c => ({
+      id: c.id, front: sideText(c, "front"), back: sideText(c, "back"), durationSec: c.durationSec || secondsPerCard, cloze: c.cloze,
+      spoken: { front: spokenText(c, "front"), back: spokenText(c, "back") },
+    })),
+  [source, queue, byId, deckRaw, secondsPerCard]);
+  // reverse items ask the back and expect the front; "~r" ids keep both directions' audio apart
+  const deck = useMemo(() => baseCards.flatMap(c => viewDirs(c, direction).map(dir =>
+    dir === "reverse"
+      ? { ...c, id: viewKey(c.id, dir), cardId: c.id, dir, front: c.back, back: c.front, spoken: { front: c.spoken.back, back: c.spoken.front } }
+      : { ...c, cardId: c.id, dir }
+  )), [baseCards, direction]);
+  // takes are kept per deck ("" = the custom list) so they survive a reload
+  const recDeck = source === "deck" ? deckName : "";
 
   const [idx, setIdx] = useState(0);
   const [countdown, setCountdown] = useState(secondsPerCard);
   const [recordings, setRecordings] = useState({});
+  const [noTake, setNoTake] = useState({}); // card ids whose recording could not start (mic denied / lost)
   const mediaRecRef = useRef(null);
   const streamRef = useRef(null);
   const timerRef = useRef(null);
 
+  // grading (POST /process_test)
+  const [results, setResults] = useState(null);     // { [card.id]: result }
+  const [stale, setStale] = useState({});           // card ids re-recorded since last submit
+  const [graded, setGraded] = useState({});         // card ids whose current take is already in their history
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState("");
+  const [submitWhenReady, setSubmitWhenReady] = useState(false);
+
+  useEffect(() => { save("test_source", source); }, [source]);
   useEffect(() => { save("test_deckRaw", deckRaw); }, [deckRaw]);
   useEffect(() => { save("test_secondsPerCard", secondsPerCard); }, [secondsPerCard]);
+  useEffect(() => { save("test_direction", direction); }, [direction]);
+  useEffect(() => { save("test_kind", kind); }, [kind]);
 
   const handlers = useSwipeable({
     onSwipedLeft: () => stage === "running" && nextCard(),
@@ -525,19 +2223,31 @@ function TestMode() {
     trackMouse: true, preventScrollOnSwipe: true
   });
 
+  // the last take for this deck, offered for review on the setup screen
+  const [lastTake, setLastTake] = useState({});
   useEffect(() => {
-    const h = () => setDeckRaw(load("test_deckRaw", deckRaw));
-    window.addEventListener("cardsjson:loaded", h);
-    return () => window.removeEventListener("cardsjson:loaded", h);
-    // eslint-disable-next-line
-  }, []);
+    if (!ready || stage !== "setup") return;
+    let live = true;
+    deckRecordings(recDeck)
+      .then(rs => { if (live) setLastTake(Object.fromEntries(rs.map(r => [r.id, r]))); })
+      .catch(e => console.error(e));
+    return () => { live = false; };
+  }, [ready, recDeck, stage]);
+  function reviewLastTake() {
+    const takes = Object.values(lastTake);
+    setRecordings(Object.fromEntries(takes.map(r => [r.id, r.blob])));
+    setGraded(Object.fromEntries(takes.filter(r => r.gradedAt).map(r => [r.id, true])));
+    setResults(null); setStale({}); setSubmitError("");
+    setStage("review");
+  }
 
   function stopTimers() { if (timerRef.current) { clearInterval(timerRef.current); timerRef.current = null; } }
   function stopCardRecording() {
     try { if (mediaRecRef.current && mediaRecRef.current.state !== "inactive") mediaRecRef.current.stop(); } catch {}
     try { streamRef.current && streamRef.current.getTracks().forEach(t => t.stop()); } catch {}
   }
-  async function startCardRecordingAt(index) {
+  // onTimeUp runs once the card's durationSec has elapsed
+  async function startCardRecordingAt(index, onTimeUp) {
     stopTimers(); stopCardRecording();
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -549,32 +2259,140 @@ function TestMode() {
       rec.onstop = () => {
         const blob = new Blob(chunks, { type: "audio/webm" });
         const card = deck[index];
-        if (card) setRecordings(prev => ({ ...prev, [card.id]: blob }));
+        if (card) {
+          setRecordings(prev => ({ ...prev, [card.id]: blob }));
+          setNoTake(m => ({ ...m, [card.id]: false }));
+          setGraded(g => ({ ...g, [card.id]: false }));
+          putRecording(recDeck, card.id, blob).catch(e => console.error(e));
+        }
         try { stream.getTracks().forEach(t => t.stop()); } catch {}
       };
       rec.start();
-      const dur = deck[index]?.durationSec || secondsPerCard;
-      setCountdown(dur);
+      let left = deck[index]?.durationSec || secondsPerCard;
+      setCountdown(left);
       timerRef.current = window.setInterval(() => {
-        setCountdown(c => {
-          if (c <= 1) { clearInterval(timerRef.current); nextCard(); return 0; }
-          return c - 1;
-        });
+        left -= 1;
+        setCountdown(Math.max(0, left));
+        if (left <= 0) { stopTimers(); onTimeUp(); }
       }, 1000);
     } catch (e) {
+      const card = deck[index];
+      if (card) setNoTake(m => ({ ...m, [card.id]: true }));
       alert("Microphone permission is required.");
       console.error(e);
     }
   }
 
-  function startTest() { if (!deck.length) return; setIdx(0); setStage("running"); startCardRecordingAt(0); }
+  // idx lives in a ref too: the countdown interval outlives the render that started it
+  const idxRef = useRef(0);
+  function goTo(n) {
+    idxRef.current = n; setIdx(n);
+    setTimeout(() => startCardRecordingAt(n, nextCard), 150);
+  }
+  function startTest() {
+    if (!deck.length) return;
+    clearRecordings(recDeck).catch(e => console.error(e));
+    setRecordings({}); setNoTake({}); setGraded({}); setResults(null); setStale({}); setSubmitError("");
+    setStage("running"); goTo(0);
+  }
   function nextCard() {
     stopTimers(); stopCardRecording();
-    if (idx + 1 < deck.length) { const n = idx + 1; setIdx(n); setTimeout(() => startCardRecordingAt(n), 150); }
-    else setStage("review");
+    const n = idxRef.current + 1;
+    if (n < deck.length) goTo(n);
+    else { setStage("review"); setSubmitWhenReady(true); }
   }
   useEffect(() => () => { stopTimers(); stopCardRecording(); }, []);
 
+  /** re-record a single card from the review screen, then come back */
+  function retakeCard(cardId) {
+    const n = deck.findIndex(c => c.id === cardId);
+    if (n < 0) return;
+    idxRef.current = n; setIdx(n);
+    setStage("retake");
+    startCardRecordingAt(n, finishRetake);
+  }
+  function finishRetake() {
+    stopTimers(); stopCardRecording();
+    const card = deck[idxRef.current];
+    if (card) setStale(s => ({ ...s, [card.id]: true }));
+    setStage("review");
+  }
+
+  // a pronunciation result, once per take: kept in the card's history and fed into its schedule;
+  // `latest` carries a card graded in both directions from the first grade to the second; true once counted
+  function applyPronunciation(res, latest) {
+    const item = deck.find(c => c.id === res.id);
+    const card = item && (latest.get(item.cardId) || byId(item.cardId));
+    if (!card || !res.has_audio || res.stt === "stub") return false;
+    const attempt = { ts: Date.now(), score: res.score, heard: res.transcript };
+    setMeta(m => ({
+      ...m,
+      pronunciation: { ...m.pronunciation, [res.id]: [...(m.pronunciation?.[res.id] || []), attempt].slice(-PRON_HISTORY_MAX) },
+    }));
+    latest.set(card.id, gradeCard(card, item.dir, pronGrade(res.score), { mode: "pronounce" }));
+    return true;
+  }
+
+  async function submitTest() {
+    setSubmitting(true); setSubmitError("");
+    // only takes not graded yet count towards history / scheduling (a resubmit re-scores the rest too)
+    const fresh = new Set(deck.filter(c => recordings[c.id] && !graded[c.id]).map(c => c.id));
+    try {
+      const meta = {
+        rubric: kind === "pronounce" ? "pronunciation" : "keywords+similarity",
+        mode: kind,
+        flashcards: source === "deck" ? deckName : "custom",
+        deckRaw: source === "custom" ? deckRaw : null,
+        // pronunciation is scored against the words to say, not the Markdown / media refs / cloze blank
+        items: deck.map(c => ({ id: c.id, front: kind === "pronounce" ? c.spoken.front : c.front, back: c.back, durationSec: c.durationSec })),
+      };
+      const fd = new FormData();
+      fd.append("meta", JSON.stringify(meta));
+      deck.forEach(c => { if (recordings[c.id]) fd.append(`audio_${c.id}`, recordings[c.id], `${c.id}.webm`); });
+      const r = await fetch(`${API_BASE}process_test`, { method: "POST", credentials: "include", body: fd });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      setResults(Object.fromEntries((j.results || []).map(res => [res.id, res])));
+      setStale({});
+      if (kind === "pronounce" && source === "deck") {
+        const latest = new Map();
+        const counted = (j.results || []).filter(res => fresh.has(res.id) && applyPronunciation(res, latest)).map(res => res.id);
+        setGraded(g => ({ ...g, ...Object.fromEntries(counted.map(id => [id, true])) }));
+        markRecordingsGraded(recDeck, counted).catch(e => console.error(e));
+      }
+    } catch (e) {
+      console.error(e);
+      setSubmitError(`Grading failed: ${e.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  // auto-submit once every card's blob has landed (MediaRecorder.onstop is async) or never will;
+  // the ref keeps the effect from re-running for every render's new submitTest
+  const submitRef = useRef(submitTest);
+  useEffect(() => { submitRef.current = submitTest; });
+  useEffect(() => {
+    if (stage !== "review" || !submitWhenReady) return;
+    if (!deck.every(c => recordings[c.id] || noTake[c.id])) return;
+    setSubmitWhenReady(false);
+    if (Object.keys(recordings).length) submitRef.current();
+  }, [stage, submitWhenReady, recordings, noTake, deck]);
+
+  // playback urls for each recording
+  const recordingUrls = useMemo(
+    () => Object.fromEntries(Object.entries(recordings).map(([id, blob]) => [id, URL.createObjectURL(blob)])),
+    [recordings]
+  );
+  useEffect(() => () => Object.values(recordingUrls).forEach(u => URL.revokeObjectURL(u)), [recordingUrls]);
+
+  const avgScore = useMemo(() => {
+    const rs = Object.values(results || {});
+    return rs.length ? rs.reduce((s, r) => s + (r.score || 0), 0) / rs.length : 0;
+  }, [results]);
+
+  const recording = stage === "running" || stage === "retake";
+
   return (
     <div className="grid grid-cols-5 gap-3" style={{ minHeight: "82vh" }} {...handlers}>
       <aside className="hidden md:block col-span-1" />
@@ -582,19 +2400,778 @@ function TestMode() {
         <div className="bg-white rounded-2xl border shadow flex flex-col" style={{ minHeight: "82vh" }}>
           <div className="flex items-center justify-between px-3 py-2">
             <div className="text-xs text-neutral-600">
-              {stage === "running" ? <>Card {idx + 1}/{deck.length} • <b>{countdown}s</b></> : <>Cards: {deck.length}</>}
+              {recording ? <>Card {idx + 1}/{deck.length} • <b>{countdown}s</b>{stage === "retake" && <> • re-recording</>}</> : <>Cards: {deck.length}</>}
+            </div>
+            <div className="flex items-center gap-2">
+              {stage === "review" && (
+                <button
+                  onClick={submitTest}
+                  disabled={submitting}
+                  className="px-3 py-1 rounded-md border text-xs bg-white"
+                >
+                  {submitting ? "Grading…" : results ? "Resubmit" : "Submit for grading"}
+                </button>
+              )}
+              {stage === "retake" && <button onClick={finishRetake} className="px-3 py-1 rounded-md border text-xs bg-white">Done</button>}
+              {stage === "setup" && Object.keys(lastTake).length > 0 && (
+                <button onClick={reviewLastTake} className="px-3 py-1 rounded-md border text-xs bg-white">
+                  Review last take ({Object.keys(lastTake).length})
+                </button>
+              )}
+              {!recording && <button onClick={startTest} className="px-3 py-1 rounded-md border text-xs bg-white">{stage === "review" ? "Restart" : "Start"}</button>}
             </div>
-            {stage !== "running" && <button onClick={startTest} className="px-3 py-1 rounded-md border text-xs bg-white">Start</button>}
           </div>
           <div className="flex-1 min-h-0 flex items-center justify-center p-3">
-            {stage === "running" && deck[idx] && (
+            {recording && deck[idx] && (
               <div className="w-full h-full rounded-xl border shadow flex items-center justify-center text-center bg-neutral-900">
-                <div className="text-white font-bold" style={{ fontSize: 48 }}>{deck[idx].front}</div>
+                <div>
+                  <div className="text-white font-bold" style={{ fontSize: 48 }}>{deck[idx].front}</div>
+                  {kind === "pronounce" && <div className="text-neutral-400 text-sm mt-2">Read it aloud</div>}
+                </div>
+              </div>
+            )}
+            {stage === "setup" && (
+              <div className="w-full self-start text-left flex flex-col gap-2">
+                <label className="text-xs text-neutral-600">Cards{" "}
+                  <select className="px-2 py-1 rounded-md border bg-white" value={source} onChange={e => setSource(e.target.value)}>
+                    <option value="deck">Deck: {deckName}</option>
+                    <option value="custom">Custom list</option>
+                  </select>
+                </label>
+                {source === "custom" && (
+                  <label className="text-xs text-neutral-600">Custom list (front,back,durationSec)
+                    <textarea
+                      className="w-full px-2 py-1 rounded-md border bg-white text-sm font-mono"
+                      rows={12}
+                      value={deckRaw}
+                      onChange={e => setDeckRaw(e.target.value)}
+                    />
+                  </label>
+                )}
+                <label className="text-xs text-neutral-600">Default seconds per card{" "}
+                  <input
+                    type="number"
+                    min={1}
+                    className="px-2 py-1 rounded-md border bg-white"
+                    style={{ width: 80 }}
+                    value={secondsPerCard}
+                    onChange={e => setSecondsPerCard(Number(e.target.value) > 0 ? Number(e.target.value) : 12)}
+                  />
+                </label>
+                <label className="text-xs text-neutral-600">Direction{" "}
+                  <select className="px-2 py-1 rounded-md border bg-white" value={direction} onChange={e => setDirection(e.target.value)}>
+                    {DIRECTIONS.map(([d, label]) => <option key={d} value={d}>{label}</option>)}
+                  </select>
+                </label>
+                <label className="text-xs text-neutral-600">Test{" "}
+                  <select className="px-2 py-1 rounded-md border bg-white" value={kind} onChange={e => setKind(e.target.value)}>
+                    <option value="meaning">Answer — say the back</option>
+                    <option value="pronounce">Pronunciation — read the front aloud</option>
+                  </select>
+                  {kind === "pronounce" && source === "deck" && <span className="ml-2">Scores are kept per card and grade it.</span>}
+                </label>
+              </div>
+            )}
+            {stage === "review" && (
+              <div className="w-full self-start text-left">
+                <div className="text-xs text-neutral-600 mb-2">
+                  {submitting && <>Uploading {Object.keys(recordings).length} recordings…</>}
+                  {!submitting && results && <>Average score: <b>{Math.round(avgScore * 100)}%</b></>}
+                  {!submitting && !results && !submitError && submitWhenReady && <>Waiting for recordings…</>}
+                  {submitError && <span className="text-red-600">{submitError}</span>}
+                </div>
+                <ul className="flex flex-col gap-2">
+                  {deck.map(c => {
+                    const res = results?.[c.id];
+                    const history = meta.pronunciation?.[c.id] || [];
+                    const reference = (byId(c.cardId)?.media || []).filter(m => m.type.startsWith("audio/"));
+                    return (
+                      <li key={c.id} className="rounded-xl border p-3">
+                        <div className="flex items-center justify-between gap-2 flex-wrap">
+                          <div className="font-semibold">{c.front}</div>
+                          <div className="flex items-center gap-2">
+                            {res && (
+                              <span className={`px-2 py-0.5 rounded-full text-xs text-white ${res.score >= 0.6 ? "bg-emerald-600" : res.score >= 0.35 ? "bg-amber-500" : "bg-red-600"}`}>
+                                {Math.round(res.score * 100)}%
+                              </span>
+                            )}
+                            {stale[c.id] && <span className="text-xs text-neutral-500">re-recorded — resubmit</span>}
+                            <button onClick={() => retakeCard(c.id)} className="px-2 py-1 rounded-md border text-xs bg-white">
+                              ⏺ Re-record
+                            </button>
+                          </div>
+                        </div>
+                        <div className="text-xs text-neutral-600 mt-1" style={{ whiteSpace: "pre-wrap" }}>{fixText(c.back)}</div>
+                        {kind === "pronounce" && reference.some(m => m.side === (c.dir === "reverse" ? "back" : "front")) && (
+                          <div className="text-xs text-neutral-600 mt-2">Reference:
+                            <CardMedia media={reference} side={c.dir === "reverse" ? "back" : "front"} />
+                          </div>
+                        )}
+                        {recordingUrls[c.id]
+                          ? <audio controls src={recordingUrls[c.id]} className="mt-2 w-full" />
+                          : <div className="text-xs text-red-600 mt-2">No recording.</div>}
+                        {res?.words && (
+                          <div className="text-xs mt-2 flex flex-col gap-1">
+                            <PronouncedWords words={res.words} extra={res.extra_words} />
+                            <div><span className="font-medium">Heard:</span> {res.transcript || <i>empty</i>}</div>
+                            {res.stt === "stub" && <div className="text-neutral-500">Transcription is stubbed on the server — not kept or graded.</div>}
+                            <div className="text-neutral-700">{res.feedback}</div>
+                          </div>
+                        )}
+                        {kind === "pronounce" && history.length > 0 && (
+                          <div className="text-xs mt-2 text-neutral-600 flex flex-wrap items-center gap-1">
+                            <span className="font-medium">Attempts:</span>
+                            {history.slice().reverse().map(a => (
+                              <span key={a.ts} title={`${new Date(a.ts).toLocaleString()} — “${a.heard}”`}
+                                className={`px-1.5 rounded-full text-white ${a.score >= 0.85 ? "bg-emerald-600" : a.score >= 0.6 ? "bg-amber-500" : "bg-red-600"}`}>
+                                {Math.round(a.score * 100)}%
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {res && !res.words && (
+                          <div className="text-xs mt-2 flex flex-col gap-1">
+                            <div><span className="font-medium">Transcript:</span> {res.transcript || <i>empty</i>}</div>
+                            <div>
+                              <span className="font-medium">Similarity:</span> {res.similarity}
+                              <span className="mx-1 text-neutral-400">•</span>
+                              <span className="font-medium">F1:</span> {res.f1}
+                            </div>
+                            {!!res.missing_keywords?.length && (
+                              <div><span className="font-medium">Missing:</span> {res.missing_keywords.join(", ")}</div>
+                            )}
+                            {!!res.extra_terms?.length && (
+                              <div><span className="font-medium">Extra:</span> {res.extra_terms.join(", ")}</div>
+                            )}
+                            <div className="text-neutral-700">{res.feedback}</div>
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+          </div>
+          {recording && <div className="px-3 py-2 text-center text-xs text-neutral-500">Swipe ←/→ or press Enter to advance</div>}
+        </div>
+      </section>
+      <aside className="hidden md:block col-span-1" />
+    </div>
+  );
+}
+
+/** ===================== Listen & Answer (hands-free) ===================== */
+// 1 s of 8-bit mono silence, looped while a session runs so the OS shows media controls
+function silentWav(seconds = 1, rate = 8000) {
+  const n = seconds * rate;
+  const v = new DataView(new ArrayBuffer(44 + n));
+  const str = (o, s) => [...s].forEach((ch, k) => v.setUint8(o + k, ch.charCodeAt(0)));
+  str(0, "RIFF"); v.setUint32(4, 36 + n, true); str(8, "WAVE");
+  str(12, "fmt "); v.setUint32(16, 16, true); v.setUint16(20, 1, true); v.setUint16(22, 1, true);
+  v.setUint32(24, rate, true); v.setUint32(28, rate, true); v.setUint16(32, 1, true); v.setUint16(34, 8, true);
+  str(36, "data"); v.setUint32(40, n, true);
+  new Uint8Array(v.buffer, 44).fill(128); // unsigned 8-bit PCM: 128 = zero level
+  return new Blob([v.buffer], { type: "audio/wav" });
+}
+
+const LISTEN_PHASES = {
+  prompt: "🔊 Listen",
+  answer: "🎙 Answer",
+  reveal: "✔︎ Answer",
+  replay: "▶ Your answer",
+};
+
+function ListenMode() {
+  const { deckName, mediaDeck, ready, views } = useStudyDeck();
+  const voices = useVoices();
+  const [tts] = useTtsSettings(); // voices + rate from Study › Speech
+  const [playOwn, setPlayOwn] = useState(load("listen_playOwn", true));
+  useEffect(() => { save("listen_playOwn", playOwn); }, [playOwn]);
+
+  const items = useMemo(
+    () => views.map(v => ({ key: v.key, ...facesOf(v.card, v.dir), durationSec: v.card.durationSec || 12 })),
+    [views]
+  );
+
+  const [idx, setIdx] = useState(0);
+  const [phase, setPhase] = useState("idle"); // idle | paused | done | prompt | answer | reveal | replay
+  const [countdown, setCountdown] = useState(0);
+  const running = phase in LISTEN_PHASES;
+  const item = items[Math.min(idx, items.length - 1)];
+
+  // every (re)start bumps runRef; a step that finds a newer run stops quietly
+  const runRef = useRef(0);
+  const idxRef = useRef(0);
+  const streamRef = useRef(null);
+  const recRef = useRef(null);
+  const playerRef = useRef(null);
+  const keepAliveRef = useRef(null);
+
+  async function recordFor(seconds, alive) {
+    streamRef.current ??= await navigator.mediaDevices.getUserMedia({ audio: true });
+    return new Promise(resolve => {
+      const rec = new MediaRecorder(streamRef.current);
+      recRef.current = rec;
+      const chunks = [];
+      rec.ondataavailable = e => { if (e.data && e.data.size) chunks.push(e.data); };
+      rec.onstop = () => resolve(chunks.length ? new Blob(chunks, { type: rec.mimeType || "audio/webm" }) : null);
+      rec.start();
+      let left = seconds;
+      setCountdown(left);
+      const t = window.setInterval(() => {
+        left -= 1;
+        setCountdown(Math.max(0, left));
+        if (left <= 0 || !alive()) { clearInterval(t); if (rec.state !== "inactive") rec.stop(); }
+      }, 1000);
+    });
+  }
+  function playBlob(blob) {
+    const url = URL.createObjectURL(blob);
+    const a = new Audio(url);
+    playerRef.current = a;
+    return new Promise(resolve => {
+      const done = () => { URL.revokeObjectURL(url); resolve(); };
+      a.onended = a.onerror = a.onpause = done;
+      a.play().catch(done);
+    });
+  }
+
+  async function runFrom(n) {
+    const run = ++runRef.current;
+    const alive = () => runRef.current === run;
+    for (let k = n; k < items.length; k++) {
+      const it = items[k];
+      idxRef.current = k; setIdx(k);
+      setPhase("prompt");
+      await speak(it.front, tts, voices);
+      if (!alive()) return;
+      setPhase("answer");
+      const blob = await recordFor(it.durationSec, alive);
+      if (!alive()) return;
+      setPhase("reveal");
+      await speak(it.back, tts, voices);
+      if (!alive()) return;
+      if (playOwn && blob) {
+        setPhase("replay");
+        await playBlob(blob);
+        if (!alive()) return;
+      }
+    }
+    finish("done");
+  }
+
+  // cut whatever is speaking / recording / playing; the running loop notices and exits
+  function interrupt() {
+    runRef.current++;
+    if (canSpeak) speechSynthesis.cancel();
+    if (recRef.current?.state === "recording") recRef.current.stop();
+    playerRef.current?.pause();
+  }
+  function play(from = idxRef.current) {
+    if (!items.length) return;
+    interrupt();
+    keepAliveRef.current ??= Object.assign(new Audio(URL.createObjectURL(silentWav())), { loop: true });
+    keepAliveRef.current.play().catch(e => console.warn(e));
+    runFrom(Math.min(from, items.length - 1)).catch(e => {
+      console.error(e);
+      alert("Microphone permission is required.");
+      finish("idle");
+    });
+  }
+  function finish(next) {
+    interrupt();
+    keepAliveRef.current?.pause();
+    if (next !== "paused") {
+      streamRef.current?.getTracks().forEach(t => t.stop());
+      streamRef.current = null;
+    }
+    setPhase(next);
+  }
+  function skip(delta) {
+    const n = Math.max(0, Math.min(items.length - 1, idxRef.current + delta));
+    idxRef.current = n; setIdx(n);
+    if (running) play(n);
+  }
+  useEffect(() => () => {
+    runRef.current++;
+    if (canSpeak) speechSynthesis.cancel();
+    if (recRef.current?.state === "recording") recRef.current.stop();
+    playerRef.current?.pause();
+    keepAliveRef.current?.pause();
+    streamRef.current?.getTracks().forEach(t => t.stop());
+  }, []);
+
+  // lock-screen / headset controls (handlers re-bound every render so they see fresh state)
+  useEffect(() => {
+    if (!("mediaSession" in navigator)) return;
+    const ms = navigator.mediaSession;
+    const bind = (action, fn) => {
+      try { ms.setActionHandler(action, fn); } catch { /* action not supported here */ }
+    };
+    bind("play", () => play());
+    bind("pause", () => finish("paused"));
+    bind("stop", () => finish("idle"));
+    bind("nexttrack", () => skip(1));
+    bind("previoustrack", () => skip(-1));
+    ms.playbackState = running ? "playing" : "paused";
+  });
+  useEffect(() => {
+    if (!("mediaSession" in navigator) || !item || typeof MediaMetadata === "undefined") return;
+    navigator.mediaSession.metadata = new MediaMetadata({ title: item.front, artist: deckName, album: "Flash Coach — Listen" });
+  }, [item, deckName]);
+  useEffect(() => () => {
+    if (!("mediaSession" in navigator)) return;
+    ["play", "pause", "stop", "nexttrack", "previoustrack"].forEach(a => {
+      try { navigator.mediaSession.setActionHandler(a, null); } catch { /* not supported */ }
+    });
+    navigator.mediaSession.metadata = null;
+  }, []);
+
+  const btn = "px-3 py-2 rounded-md border bg-white text-sm";
+
+  return (
+    <div className="grid grid-cols-5 gap-3" style={{ minHeight: "82vh" }}>
+      <aside className="hidden md:block col-span-1" />
+      <section className="col-span-5 md:col-span-3">
+        <div className="bg-white rounded-2xl border shadow flex flex-col" style={{ minHeight: "82vh" }}>
+          <div className="flex items-center justify-between px-3 py-2 text-xs text-neutral-600">
+            <div>{items.length ? <>Card {Math.min(idx, items.length - 1) + 1}/{items.length} • {deckName}</> : ready ? "No cards — load a deck in Study." : "Loading…"}</div>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={playOwn} onChange={e => setPlayOwn(e.target.checked)} />
+              Play my answer back
+            </label>
+          </div>
+
+          <div className="flex-1 min-h-0 flex items-center justify-center p-3">
+            {item && (
+              <div className="w-full h-full rounded-xl border shadow flex flex-col gap-3 items-center justify-center text-center bg-neutral-900 text-white p-6">
+                <div className="text-xs uppercase tracking-wide text-neutral-400">
+                  {LISTEN_PHASES[phase] ?? (phase === "done" ? "Session complete ✔︎" : phase === "paused" ? "Paused" : "Ready")}
+                  {phase === "answer" && <> • <b className="text-white">{countdown}s</b></>}
+                </div>
+                <div className="font-bold" style={{ fontSize: "clamp(24px, 6vw, 56px)" }}><RichText text={item.front} deck={mediaDeck} /></div>
+                {(phase === "reveal" || phase === "replay") && (
+                  <div style={{ fontSize: "clamp(16px, 4vw, 28px)" }}><RichText text={item.back} deck={mediaDeck} /></div>
+                )}
               </div>
             )}
-            {stage !== "running" && <div className="text-neutral-600">Test not running.</div>}
           </div>
-          <div className="px-3 py-2 text-center text-xs text-neutral-500">Swipe ←/→ or press Enter to advance</div>
+
+          <div className="px-3 py-3 flex items-center justify-center gap-2 flex-wrap">
+            <button onClick={() => skip(-1)} disabled={!items.length} className={btn} title="Previous card">⏮</button>
+            {running
+              ? <button onClick={() => finish("paused")} className={btn}>⏸ Pause</button>
+              : <button onClick={() => play(phase === "done" ? 0 : idxRef.current)} disabled={!items.length} className={`${btn} bg-neutral-900 text-white`}>
+                  ▶ {phase === "paused" ? "Resume" : phase === "done" ? "Again" : "Start"}
+                </button>}
+            <button onClick={() => skip(1)} disabled={!items.length} className={btn} title="Next card">⏭</button>
+            <button onClick={() => { finish("idle"); idxRef.current = 0; setIdx(0); }} disabled={phase === "idle"} className={btn}>⏹ Stop</button>
+          </div>
+          <div className="px-3 pb-3 text-center text-xs text-neutral-500">
+            Hears the front, records your answer for the card's time, then reads the back. Pause/skip from the lock screen or headset.
+            {!canSpeak && <div className="text-red-600">Speech is not supported in this browser.</div>}
+          </div>
+        </div>
+      </section>
+      <aside className="hidden md:block col-span-1" />
+    </div>
+  );
+}
+
+/** ===================== Drill queue (Quiz / Multiple Choice) ===================== */
+/** due cards first (most overdue); when nothing is due, the whole deck in queue order */
+function useDrillQueue() {
+  const deck = useStudyDeck();
+  const { cards, queue, byId, log, limits } = deck;
+  const [now, setNow] = useState(Date.now());
+  const order = useMemo(() => {
+    const buried = load("study_bury", false) ? buriedIds(cards, log, now, limits.dayStartHour) : new Set();
+    const due = queue.map(byId).filter(c => c && c.due <= now && !buried.has(c.id)).sort((a, b) => a.due - b.due);
+    return due.length ? due.map(c => c.id) : queue;
+  }, [queue, byId, cards, log, now, limits.dayStartHour]);
+  // grading moves a card's `due` past `now`, so the answered card (and the order it was asked in)
+  // stays pinned while its feedback is on screen; `order` is recomputed on advance()
+  const [pinned, setPinned] = useState(null); // { id, order, drillingAll }
+  const live = { order, drillingAll: order === queue };
+  const shown = pinned ?? live;
+
+  const [i, setI] = useState(0);
+  const current = byId(pinned ? pinned.id : order[Math.min(i, order.length - 1)]);
+  const pin = (card) => setPinned({ id: card.id, ...live });
+  // a graded due card is gone from the recomputed `order`, so the same index is already the next one
+  function advance() {
+    if (shown.drillingAll) setI(v => (v + 1) % Math.max(1, shown.order.length));
+    setPinned(null);
+    setNow(Date.now());
+  }
+  return { ...deck, order: shown.order, drillingAll: shown.drillingAll, current, pin, advance };
+}
+
+/** ===================== Typed Quiz ===================== */
+/** `text` with every token in `missing` highlighted (latin words and single CJK chars) */
+function HighlightMissing({ text, missing }) {
+  const miss = new Set(missing);
+  const parts = String(text).split(/([a-zA-Z]+|[\u4e00-\u9fff])/);
+  return parts.map((p, n) => miss.has(p.toLowerCase())
+    ? <mark key={n} className="bg-amber-200 rounded px-0.5">{p}</mark>
+    : <React.Fragment key={n}>{p}</React.Fragment>);
+}
+
+export function QuizMode() {
+  const { mediaDeck, gradeCard, order, drillingAll, current, pin, advance } = useDrillQueue();
+  const [answer, setAnswer] = useState("");
+  const shownAt = useRef(Date.now());
+  useEffect(() => { shownAt.current = Date.now(); }, [current?.id]);
+  const [result, setResult] = useState(null);
+  const inputRef = useRef(null);
+  const [tally, setTally] = useState({ n: 0, know: 0, hard: 0, again: 0 });
+
+  function check() {
+    if (!current) return;
+    const r = gradeAnswer(plainText(sideText(current, "back")), answer);
+    setResult(r);
+    pin(current);
+    gradeCard(current, "forward", r.grade, { ms: Date.now() - shownAt.current, mode: "quiz" });
+    const bucket = r.grade === 5 ? "know" : r.grade === 3 ? "hard" : "again";
+    setTally(t => ({ ...t, n: t.n + 1, [bucket]: t[bucket] + 1 }));
+  }
+  function next() {
+    setResult(null); setAnswer("");
+    shownAt.current = Date.now();
+    advance();
+    inputRef.current?.focus();
+  }
+
+  return (
+    <div className="grid grid-cols-5 gap-3" style={{ minHeight: "82vh" }}>
+      <aside className="hidden md:block col-span-1" />
+      <section className="col-span-5 md:col-span-3">
+        <div className="bg-white rounded-2xl border shadow flex flex-col" style={{ minHeight: "82vh" }}>
+          <div className="flex items-center justify-between px-3 py-2 text-xs text-neutral-600">
+            <div>{drillingAll ? "Nothing due — drilling the whole deck" : <>Due: <b>{order.length}</b></>}</div>
+            <div>Answered {tally.n} • ✔︎ {tally.know} • ~ {tally.hard} • ✗ {tally.again}</div>
+          </div>
+
+          {current ? (
+            <div className="flex-1 flex flex-col gap-3 p-3">
+              <div className="rounded-2xl bg-neutral-900 text-white font-bold text-center px-6 py-8"
+                style={{ overflowWrap: "anywhere", lineHeight: 1.25, fontSize: "clamp(20px, 6vw, 56px)" }}>
+                <RichText text={sideText(current, "front")} deck={mediaDeck} />
+              </div>
+
+              <form onSubmit={e => { e.preventDefault(); if (result) next(); else check(); }} className="flex gap-2">
+                <input
+                  ref={inputRef}
+                  autoFocus
+                  value={answer}
+                  readOnly={!!result}
+                  onChange={e => setAnswer(e.target.value)}
+                  placeholder="Type the meaning, then Enter"
+                  className="flex-1 px-3 py-2 rounded-md border bg-white"
+                />
+                <button type="submit" className="px-3 py-2 rounded-md border bg-white">{result ? "Next ⏎" : "Check ⏎"}</button>
+              </form>
+
+              {result && (
+                <div className="rounded-xl border p-3 text-sm text-left flex flex-col gap-1">
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs text-white ${result.grade === 5 ? "bg-emerald-600" : result.grade === 3 ? "bg-amber-500" : "bg-red-600"}`}>
+                      {result.grade === 5 ? "Know" : result.grade === 3 ? "Hard" : "Again"} • {Math.round(result.score * 100)}%
+                    </span>
+                    <span className="text-xs text-neutral-600">similarity {result.similarity} • F1 {result.f1}</span>
+                  </div>
+                  <div style={{ whiteSpace: "pre-wrap" }}>
+                    <HighlightMissing text={plainText(sideText(current, "back"))} missing={result.missing} />
+                  </div>
+                  {!!result.missing.length && <div className="text-xs"><span className="font-medium">Missing:</span> {result.missing.join(", ")}</div>}
+                  {!!result.extra.length && <div className="text-xs"><span className="font-medium">Extra:</span> {result.extra.join(", ")}</div>}
+                  <div className="text-xs text-neutral-700">{result.feedback}</div>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="flex-1 grid place-items-center text-neutral-500">No cards — load a deck in Study.</div>
+          )}
+        </div>
+      </section>
+      <aside className="hidden md:block col-span-1" />
+    </div>
+  );
+}
+
+/** ===================== Multiple Choice ===================== */
+const MC_DIRECTIONS = [["front", "Term → meaning"], ["back", "Meaning → term"], ["mixed", "Mixed"]];
+
+/**
+ * 3 distractors for `card`: cards it was confused with first (most often first),
+ * then random others. Options with the same visible text as the answer are skipped.
+ */
+function pickDistractors(card, cards, confusions, face, n = 3) {
+  const seen = new Set([frontKey(sideText(card, face))]);
+  // cloze answers compete with other notes' cloze answers (a sibling's is visible in the prompt)
+  const pool = cards.filter(c => c.id !== card.id && !!c.cloze === !!card.cloze && (!c.noteId || c.noteId !== card.noteId));
+  const byId = new Map(pool.map(c => [c.id, c]));
+  const confused = Object.entries(confusions[card.id] || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => byId.get(id) ?? byId.get(Number(id)))
+    .filter(Boolean);
+  const random = [...pool].sort(() => Math.random() - 0.5);
+  const out = [];
+  for (const c of [...confused.slice(0, 2), ...random]) {
+    const key = frontKey(sideText(c, face));
+    if (!key || seen.has(key)) continue;
+    seen.add(key); out.push(c);
+    if (out.length === n) break;
+  }
+  return out;
+}
+
+export function MultipleChoiceMode() {
+  const { mediaDeck, cards, gradeCard, order, drillingAll, current, pin, advance } = useDrillQueue();
+  const [direction, setDirection] = useState(load("mc_direction", "front"));
+  useEffect(() => { save("mc_direction", direction); }, [direction]);
+  // { [cardId]: { [confusedWithId]: count } } — symmetric, drives distractor choice
+  const [confusions, setConfusions] = useState(() => load("mc_confusions", {}));
+  useEffect(() => { save("mc_confusions", confusions); }, [confusions]);
+
+  const [picked, setPicked] = useState(null);
+  const [tally, setTally] = useState({ n: 0, right: 0 });
+  const [round, setRound] = useState(0);
+  const shownAt = useRef(Date.now());
+  useEffect(() => { shownAt.current = Date.now(); }, [current?.id, round]);
+
+  // one question per card visit: fixed direction + shuffled options until "Next";
+  // grading rewrites `current`, `cards` and `confusions`, which must not reshuffle the options on screen
+  const question = useMemo(() => {
+    if (!current) return null;
+    const asks = current.cloze ? "front" : direction === "mixed" ? (Math.random() < 0.5 ? "front" : "back") : direction;
+    const answers = asks === "front" ? "back" : "front";
+    const options = [current, ...pickDistractors(current, cards, confusions, answers)].sort(() => Math.random() - 0.5);
+    return { asks, answers, options };
+  }, [current?.id, direction, round]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  function choose(opt) {
+    if (!current || picked) return;
+    setPicked(opt.id);
+    const right = opt.id === current.id;
+    pin(current);
+    // term → meaning is the card's forward direction, meaning → term its reverse
+    gradeCard(current, question.asks === "back" ? "reverse" : "forward", right ? 5 : 1, { ms: Date.now() - shownAt.current, mode: "choice" });
+    setTally(t => ({ n: t.n + 1, right: t.right + (right ? 1 : 0) }));
+    if (!right) {
+      setConfusions(cf => ({
+        ...cf,
+        [current.id]: { ...cf[current.id], [opt.id]: (cf[current.id]?.[opt.id] || 0) + 1 },
+        [opt.id]: { ...cf[opt.id], [current.id]: (cf[opt.id]?.[current.id] || 0) + 1 },
+      }));
+    }
+  }
+  function next() { setPicked(null); setRound(r => r + 1); advance(); }
+
+  useEffect(() => {
+    function onKey(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target?.tagName)) return;
+      const n = Number(e.key);
+      if (n >= 1 && n <= (question?.options.length || 0)) choose(question.options[n - 1]);
+      else if ((e.key === "Enter" || e.key === " ") && picked) { e.preventDefault(); next(); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const optionClass = (opt) => {
+    if (!picked) return "bg-white";
+    if (opt.id === current.id) return "bg-emerald-600 text-white";
+    return opt.id === picked ? "bg-red-600 text-white" : "bg-white opacity-60";
+  };
+
+  return (
+    <div className="grid grid-cols-5 gap-3" style={{ minHeight: "82vh" }}>
+      <aside className="hidden md:block col-span-1" />
+      <section className="col-span-5 md:col-span-3">
+        <div className="bg-white rounded-2xl border shadow flex flex-col" style={{ minHeight: "82vh" }}>
+          <div className="flex items-center justify-between flex-wrap gap-2 px-3 py-2 text-xs text-neutral-600">
+            <div>{drillingAll ? "Nothing due — drilling the whole deck" : <>Due: <b>{order.length}</b></>}</div>
+            <div className="flex items-center gap-1">
+              {MC_DIRECTIONS.map(([d, label]) => (
+                <button key={d} onClick={() => { setDirection(d); if (picked) next(); }}
+                  className={`px-2 py-1 rounded-full border ${direction === d ? "bg-neutral-900 text-white" : "bg-white"}`}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div>Correct {tally.right}/{tally.n}</div>
+          </div>
+
+          {current && question ? (
+            <div className="flex-1 flex flex-col gap-3 p-3">
+              <div className="rounded-2xl bg-neutral-900 text-white font-bold text-center px-6 py-8"
+                style={{ overflowWrap: "anywhere", lineHeight: 1.25,
+                  fontSize: question.asks === "front" ? "clamp(20px, 6vw, 56px)" : "clamp(16px, 4.5vw, 32px)" }}>
+                <RichText text={sideText(current, question.asks)} deck={mediaDeck} />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {question.options.map((opt, n) => (
+                  <button key={opt.id} onClick={() => choose(opt)}
+                    className={`px-3 py-3 rounded-xl border text-left ${optionClass(opt)}`}
+                    style={{ overflowWrap: "anywhere" }}>
+                    <span className="text-xs opacity-60 mr-2">{n + 1}</span><RichText text={sideText(opt, question.answers)} deck={mediaDeck} inline />
+                  </button>
+                ))}
+              </div>
+              {question.options.length < 2 && <div className="text-xs text-neutral-500">Add more cards to get distractors.</div>}
+              {picked && (
+                <div className="flex justify-end">
+                  <button onClick={next} className="px-3 py-2 rounded-md border bg-white">Next ⏎</button>
+                </div>
+              )}
+              <div className="text-xs text-neutral-500 text-center">1–4 = choose • Enter/Space = next</div>
+            </div>
+          ) : (
+            <div className="flex-1 grid place-items-center text-neutral-500">No cards — load a deck in Study.</div>
+          )}
+        </div>
+      </section>
+      <aside className="hidden md:block col-span-1" />
+    </div>
+  );
+}
+
+/** ===================== Stats ===================== */
+// local calendar day, e.g. "2025-03-09"
+const dayKey = (ts) => { const d = new Date(ts); return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`; };
+const startOfDay = (ts) => { const d = new Date(ts); d.setHours(0, 0, 0, 0); return d.getTime(); };
+// `n` calendar days later at the same local time (a DST day is 23 or 25 hours, so never ± n * DAY_MS)
+const addDays = (ts, n) => { const d = new Date(ts); d.setDate(d.getDate() + n); return d.getTime(); };
+
+function reviewStats(log, views, now = Date.now()) {
+  const perDay = new Map();
+  log.forEach(e => perDay.set(dayKey(e.ts), (perDay.get(dayKey(e.ts)) || 0) + 1));
+
+  // streaks: consecutive days with reviews; today may still be empty without breaking it
+  let current = 0, longest = 0, run = 0, prev = null;
+  [...perDay.keys()].sort().forEach(k => {
+    const t = new Date(`${k}T00:00:00`).getTime();
+    run = prev !== null && Math.round((t - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = t;
+  });
+  for (let t = addDays(startOfDay(now), perDay.has(dayKey(now)) ? 0 : -1); perDay.has(dayKey(t)); t = addDays(t, -1)) current++;
+
+  // retention: passed reviews of already-learned cards over the last 30 days
+  const recent = log.filter(e => e.ts >= now - 30 * DAY_MS && e.prevInterval >= 1);
+  const retention = recent.length ? recent.filter(e => e.grade >= 3).length / recent.length : null;
+
+  // forecast: due per day for the next 14 days (overdue counts as today)
+  const today = startOfDay(now);
+  const forecast = Array.from({ length: 14 }, () => 0);
+  views.forEach(v => {
+    if (!v.s.reviewedAt && !v.s.lastGrade) return; // never studied
+    const d = Math.max(0, Math.round((startOfDay(v.s.due) - today) / DAY_MS));
+    if (d < 14) forecast[d]++;
+  });
+
+  // hardest: most lapses/hard answers relative to reviews
+  const per = new Map();
+  log.forEach(e => {
+    const k = viewKey(e.cardId, e.dir);
+    const p = per.get(k) || { cardId: e.cardId, dir: e.dir, n: 0, misses: 0 };
+    p.n++; if (e.grade < 5) p.misses++;
+    per.set(k, p);
+  });
+  const hardest = [...per.values()]
+    .filter(p => p.n >= 2 && p.misses)
+    .sort((a, b) => b.misses / b.n - a.misses / a.n || b.misses - a.misses)
+    .slice(0, 10);
+
+  return { perDay, current, longest, retention, forecast, hardest, today: perDay.get(dayKey(now)) || 0 };
+}
+
+function StatsMode() {
+  const { byId, views, log } = useStudyDeck();
+  const st = useMemo(() => reviewStats(log, views), [log, views]);
+
+  // heatmap: 26 weeks ending this week, one column per week (Sun..Sat)
+  const weeks = 26;
+  const end = startOfDay(Date.now());
+  const first = addDays(end, -((weeks - 1) * 7 + new Date(end).getDay()));
+  const maxDay = Math.max(1, ...st.perDay.values());
+  const maxForecast = Math.max(1, ...st.forecast);
+
+  const box = "rounded-xl border bg-white p-3";
+  return (
+    <div className="grid grid-cols-5 gap-3" style={{ minHeight: "82vh" }}>
+      <aside className="hidden md:block col-span-1" />
+      <section className="col-span-5 md:col-span-3 flex flex-col gap-3 text-left">
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 text-center">
+          {[
+            ["Today", st.today],
+            ["Reviews", log.length],
+            ["Retention (30d)", st.retention === null ? "—" : `${Math.round(st.retention * 100)}%`],
+            ["Streak", `${st.current}d`],
+            ["Longest", `${st.longest}d`],
+          ].map(([label, value]) => (
+            <div key={label} className={box}>
+              <div className="text-xl font-semibold">{value}</div>
+              <div className="text-xs text-neutral-500">{label}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className={box}>
+          <div className="text-xs font-medium mb-2">Daily reviews</div>
+          <div className="flex gap-[3px] overflow-x-auto">
+            {Array.from({ length: weeks }, (_, w) => (
+              <div key={w} className="flex flex-col gap-[3px]">
+                {Array.from({ length: 7 }, (_, d) => {
+                  const t = addDays(first, w * 7 + d);
+                  const n = st.perDay.get(dayKey(t)) || 0;
+                  return (
+                    <div key={d} title={`${dayKey(t)}: ${n} reviews`}
+                      style={{
+                        width: 12, height: 12, borderRadius: 2,
+                        background: t > end ? "transparent" : n ? `rgba(5, 150, 105, ${0.25 + 0.75 * n / maxDay})` : "#e5e5e5",
+                      }} />
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className={box}>
+          <div className="text-xs font-medium mb-2">Due forecast (next 14 days)</div>
+          <div className="flex items-end gap-1" style={{ height: 100 }}>
+            {st.forecast.map((n, d) => (
+              <div key={d} className="flex-1 flex flex-col items-center justify-end h-full" title={`${dayKey(addDays(end, d))}: ${n} due`}>
+                <div className="text-[10px] text-neutral-500">{n || ""}</div>
+                <div className="w-full bg-blue-500 rounded-t" style={{ height: `${(n / maxForecast) * 80}%`, minHeight: n ? 2 : 0 }} />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-neutral-500 mt-1"><span>today</span><span>+13d</span></div>
+        </div>
+
+        <div className={box}>
+          <div className="text-xs font-medium mb-2">Hardest cards</div>
+          {st.hardest.length ? (
+            <table className="w-full text-xs">
+              <tbody>
+                {st.hardest.map(h => {
+                  const c = byId(h.cardId);
+                  return (
+                    <tr key={viewKey(h.cardId, h.dir)} className="border-t">
+                      <td className="p-1">{c?.front ?? h.cardId}{h.dir === "reverse" && " ↺"}</td>
+                      <td className="p-1 text-neutral-500 truncate" style={{ maxWidth: 240 }}>{c ? fixText(c.back) : ""}</td>
+                      <td className="p-1 text-right whitespace-nowrap">{h.misses}/{h.n} missed</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : <div className="text-xs text-neutral-500">Not enough reviews yet.</div>}
         </div>
       </section>
       <aside className="hidden md:block col-span-1" />
@@ -603,11 +3180,64 @@ function TestMode() {
 }
 
 /** ===================== Root ===================== */
+const MODES = [["study", "Study"], ["quiz", "Quiz"], ["choice", "Choice"], ["test", "Test"], ["listen", "Listen"], ["stats", "Stats"]];
+
+function SyncBadge() {
+  const { pending, conflicts, online } = useOutbox();
+  const label = conflicts ? `⚠ ${conflicts} to merge` : pending ? `⟳ ${pending} pending` : "✓ Synced";
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs ${pending || conflicts ? "bg-amber-100 text-amber-800" : "bg-emerald-100 text-emerald-800"}`}
+      title={conflicts ? "A deck changed on the server since you loaded it; merge it in Study"
+        : pending ? "Deck saves waiting for the server; they retry automatically" : "All deck saves reached the server"}
+    >
+      {online ? label : `Offline • ${label}`}
+    </span>
+  );
+}
+
+// the last action, with Undo / Redo, for a few seconds after it (or after an undo / redo)
+function UndoToast() {
+  const [toast, setToast] = useState(null);
+  useEffect(() => {
+    let t;
+    const h = (e) => {
+      const { kind, label } = e.detail;
+      setToast(kind === "undo" ? `Undone: ${label}` : kind === "redo" ? `Redone: ${label}` : label);
+      clearTimeout(t);
+      t = window.setTimeout(() => setToast(null), 5000);
+    };
+    window.addEventListener("history:changed", h);
+    return () => { clearTimeout(t); window.removeEventListener("history:changed", h); };
+  }, []);
+  if (!toast) return null;
+  const btn = "px-2 py-0.5 rounded-md border border-neutral-600 disabled:opacity-40";
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 px-3 py-2 rounded-xl shadow bg-neutral-900 text-white text-xs flex items-center gap-2 max-w-[90vw]">
+      <span className="truncate">{toast}</span>
+      <button onClick={undo} disabled={!undoHistory.past.length} className={btn} title="Ctrl+Z">Undo</button>
+      <button onClick={redo} disabled={!undoHistory.future.length} className={btn} title="Ctrl+Shift+Z">Redo</button>
+    </div>
+  );
+}
+
 export default function App() {
   const [mode, setMode] = useState(load("ui_mode", "study"));
-  const [uiFilter, setUiFilter] = useState("all"); // all | marked | hard
+  const [uiFilter, setUiFilter] = useState("all"); // all | due | marked | hard | q:<saved filter>
   useEffect(() => { save("ui_mode", mode); }, [mode]);
-  useEffect(() => { (async () => { await hydrateFromCardsJson(); })(); }, []);
+
+  // Ctrl/⌘+Z undo • Ctrl/⌘+Shift+Z (or Ctrl+Y) redo; text fields keep their own undo
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (["INPUT", "TEXTAREA"].includes(e.target?.tagName) || e.target?.isContentEditable) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if (k === "z" || k === "y") { e.preventDefault(); redo(); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 
   return (
     <div
@@ -618,28 +3248,29 @@ export default function App() {
       }}
     >
       <header className="px-3 py-1.5 flex items-center justify-between flex-wrap gap-2 border-b bg-white">
-        <div className="text-sm">🃏 Flash Coach</div>
+        <div className="text-sm flex items-center gap-2">🃏 Flash Coach <SyncBadge/></div>
         <div className="flex items-center text-sm">
-          <button
-            onClick={() => setMode("study")}
-            className={`px-3 py-1 rounded-full border ${mode==="study"?"bg-neutral-900 text-white":"bg-white"}`}
-          >
-            Study
-          </button>
-          <button
-            onClick={() => setMode("test")}
-            className={`px-3 py-1 rounded-full border ${mode==="test" ?"bg-neutral-900 text-white":"bg-white"}`}
-          >
-            Test
-          </button>
+          {MODES.map(([m, label]) => (
+            <button
+              key={m}
+              onClick={() => setMode(m)}
+              className={`px-3 py-1 rounded-full border ${mode===m?"bg-neutral-900 text-white":"bg-white"}`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
       </header>
 
       <main className="px-2 md:px-4 pt-2">
-        {mode === "study"
-          ? <StudyMode externalFilter={uiFilter} setExternalFilter={setUiFilter}/>
-          : <TestMode/>}
+        {mode === "study" && <StudyMode externalFilter={uiFilter} setExternalFilter={setUiFilter}/>}
+        {mode === "quiz" && <QuizMode/>}
+        {mode === "choice" && <MultipleChoiceMode/>}
+        {mode === "test" && <TestMode/>}
+        {mode === "listen" && <ListenMode/>}
+        {mode === "stats" && <StatsMode/>}
       </main>
+      <UndoToast/>
     </div>
   );
 }
@@ -0,0 +1,51 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { MultipleChoiceMode, QuizMode } from "./App.jsx";
+import { deckFromJson } from "./deck.js";
+import { getDeck, putDeck, save } from "./storage.js";
+import { deckFile } from "./test/server.js";
+
+// every card of a fresh deck is due, so grading one takes it out of the due list
+async function openDeck(name, fronts) {
+  await putDeck(deckFromJson(deckFile(name, fronts), name));
+  save("deck_name", name);
+}
+const prompt = () => document.querySelector(".bg-neutral-900.font-bold");
+
+describe("QuizMode", () => {
+  it("keeps the graded card and its answer on screen until Next", async () => {
+    await openDeck("quiz", ["alpha", "beta"]);
+    render(<QuizMode />);
+    await waitFor(() => expect(prompt()).toHaveTextContent("alpha"));
+    expect(screen.getByText(/Due:/)).toHaveTextContent("Due: 2");
+
+    fireEvent.change(screen.getByPlaceholderText(/Type the meaning/), { target: { value: "alpha meaning" } });
+    fireEvent.click(screen.getByRole("button", { name: /Check/ }));
+    await waitFor(async () => expect((await getDeck("quiz")).cards[0].lastGrade).toBe(5));
+    expect(prompt()).toHaveTextContent("alpha");
+    expect(screen.getByText("Know • 100%").closest(".rounded-xl")).toHaveTextContent("alpha meaning");
+    expect(screen.queryByText(/beta meaning/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /Next/ }));
+    expect(prompt()).toHaveTextContent("beta");
+    expect(screen.getByText(/Due:/)).toHaveTextContent("Due: 1");
+  });
+});
+
+describe("MultipleChoiceMode", () => {
+  it("marks the answered card's option, not the next card's", async () => {
+    await openDeck("choice", ["alpha", "beta", "gamma", "delta"]);
+    render(<MultipleChoiceMode />);
+    await waitFor(() => expect(prompt()).toHaveTextContent("alpha"));
+
+    fireEvent.click(screen.getByRole("button", { name: /beta meaning/ }));
+    await waitFor(async () => expect((await getDeck("choice")).cards[0].lastGrade).toBe(1));
+    expect(prompt()).toHaveTextContent("alpha");
+    expect(screen.getByRole("button", { name: /alpha meaning/ })).toHaveClass("bg-emerald-600");
+    expect(screen.getByRole("button", { name: /beta meaning/ })).toHaveClass("bg-red-600");
+
+    fireEvent.click(screen.getByRole("button", { name: /Next/ }));
+    expect(prompt()).toHaveTextContent("beta");
+    expect(document.querySelector(".bg-emerald-600")).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { http, HttpResponse } from "msw";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { StudyMode } from "./App.jsx";
+import { deckFromJson } from "./deck.js";
+import { getDeck, putDeck, save } from "./storage.js";
+import { API, deckFile, server } from "./test/server.js";
+
+const face = () => screen.getByLabelText("Toggle face");
+const key = (k) => fireEvent.keyDown(window, { key: k });
+// drag with the mouse (react-swipeable tracks it like touch): dx < 0 = left
+function swipe(el, dx) {
+  fireEvent.mouseDown(el, { clientX: 300, clientY: 200 });
+  fireEvent.mouseMove(document, { clientX: 300 + dx / 2, clientY: 200 });
+  fireEvent.mouseMove(document, { clientX: 300 + dx, clientY: 200 });
+  fireEvent.mouseUp(document, { clientX: 300 + dx, clientY: 200 });
+}
+
+async function openStudy(name, fronts) {
+  await putDeck(deckFromJson(deckFile(name, fronts), name));
+  save("deck_name", name);
+  render(<StudyMode />);
+  await waitFor(() => expect(face()).toHaveTextContent(fronts[0]));
+}
+
+beforeEach(() => {
+  vi.spyOn(window, "alert").mockImplementation(() => {});
+  vi.spyOn(window, "confirm").mockReturnValue(true);
+});
+
+describe("StudyMode navigation", () => {
+  it("moves with ←/→ and Enter, and stops at the ends", async () => {
+    await openStudy("keys", ["abate", "banal", "capricious"]);
+    key("ArrowRight");
+    expect(face()).toHaveTextContent("banal");
+    key("Enter");
+    expect(face()).toHaveTextContent("capricious");
+    key("ArrowRight");
+    expect(face()).toHaveTextContent("capricious");
+    key("ArrowLeft"); key("ArrowLeft"); key("ArrowLeft");
+    expect(face()).toHaveTextContent("abate");
+  });
+
+  it("grades with ↓ (Know) / ↑ (Hard) and saves the result", async () => {
+    await openStudy("grades", ["abate", "banal"]);
+    key("ArrowDown");
+    await waitFor(async () => expect((await getDeck("grades")).cards[0].lastGrade).toBe(5));
+    key("ArrowRight");
+    key("ArrowUp");
+    await waitFor(async () => expect((await getDeck("grades")).cards[1].lastGrade).toBe(3));
+    expect((await getDeck("grades")).log.map(e => e.grade)).toEqual([5, 3]);
+  });
+
+  it("ignores keys typed into the search box", async () => {
+    await openStudy("typing", ["abate", "banal"]);
+    fireEvent.keyDown(screen.getByPlaceholderText(/Search/), { key: "ArrowRight" });
+    expect(face()).toHaveTextContent("abate");
+  });
+
+  it("moves with swipes left and right", async () => {
+    await openStudy("swipes", ["abate", "banal"]);
+    swipe(face(), -120);
+    expect(face()).toHaveTextContent("banal");
+    swipe(face(), 120);
+    expect(face()).toHaveTextContent("abate");
+  });
+});
+
+describe("StudyMode server decks", () => {
+  it("loads a server deck and saves it back with the revision it was loaded at", async () => {
+    const puts = [];
+    server.use(http.put(`${API}/cards`, async ({ request }) => {
+      puts.push({ ifMatch: request.headers.get("If-Match"), body: await request.json() });
+      return HttpResponse.json({ ok: true, rev: "rev2" });
+    }));
+    await openStudy("local", ["abate"]);
+    await waitFor(() => expect(screen.getByRole("option", { name: "words.json" })).toBeInTheDocument());
+
+    fireEvent.click(screen.getByRole("button", { name: "Load Server Deck" }));
+    await waitFor(() => expect(face()).toHaveTextContent("alpha"));
+
+    fireEvent.click(screen.getByRole("button", { name: "Save to Server" }));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith("Saved ✔︎"));
+    expect(puts).toHaveLength(1);
+    expect(puts[0].ifMatch).toBe('"rev1"');
+    expect(puts[0].body).toMatchObject({ name: "words", cards: [{ term: "alpha" }, { term: "beta" }] });
+  });
+
+  it("opens the merge dialog when the server copy changed since loading", async () => {
+    server.use(http.put(`${API}/cards`, () => HttpResponse.json(
+      { ok: false, error: "stale", rev: "rev9", deck: deckFile("words", ["alpha", "gamma"]) }, { status: 409 })));
+    await openStudy("local2", ["abate"]);
+    await waitFor(() => expect(screen.getByRole("option", { name: "words.json" })).toBeInTheDocument());
+    fireEvent.click(screen.getByRole("button", { name: "Load Server Deck" }));
+    await waitFor(() => expect(face()).toHaveTextContent("alpha"));
+
+    fireEvent.click(screen.getByRole("button", { name: "Save to Server" }));
+    expect(await screen.findByText(/changed on the server since you loaded it/)).toBeInTheDocument();
+  });
+
+  it("merges into the open deck when it is saved under another server name", async () => {
+    let puts = 0;
+    server.use(
+      http.get(`${API}/cards/list`, () => HttpResponse.json({ files: ["shared.json"] })),
+      http.put(`${API}/cards`, () => (++puts === 1
+        ? HttpResponse.json({ ok: false, error: "conflict", rev: "rev9",
+          deck: { version: 2, name: "shared", cards: [{ id: "w1", term: "alpha", meaning: "first" }] } }, { status: 409 })
+        : HttpResponse.json({ ok: true, rev: "rev10" }))),
+    );
+    await openStudy("mine", ["abate"]);
+    await waitFor(() => expect(screen.getByRole("option", { name: "shared.json" })).toBeInTheDocument());
+
+    fireEvent.click(screen.getByRole("button", { name: "Save to Server" }));
+    fireEvent.click(await screen.findByRole("button", { name: "Save merged deck" }));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith("Saved ✔︎"));
+    expect((await getDeck("mine")).cards.map(c => c.front).sort()).toEqual(["abate", "alpha"]);
+    expect(await getDeck("shared")).toBeUndefined();
+  });
+
+  it("shares one revision between Save (default) and the same file picked by name", async () => {
+    const ifMatch = [];
+    server.use(
+      http.get(`${API}/cards/list`, () => HttpResponse.json({ files: ["cards.json"], default: "cards.json" })),
+      http.put(`${API}/cards`, ({ request }) => {
+        ifMatch.push(request.headers.get("If-Match"));
+        return HttpResponse.json({ ok: true, rev: "rev2" });
+      }),
+    );
+    await openStudy("local", ["abate"]);
+    await waitFor(() => expect(screen.getByRole("option", { name: "cards.json" })).toBeInTheDocument());
+    fireEvent.click(screen.getByRole("button", { name: "Load Server Deck" }));
+    await waitFor(() => expect(face()).toHaveTextContent("alpha"));
+
+    fireEvent.click(screen.getByRole("button", { name: "Save (default)" }));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith("Saved ✔︎"));
+    expect(ifMatch).toEqual(['"rev1"']);
+  });
+
+  it("copies the deck's media along when it is saved under another server name", async () => {
+    const copies = [];
+    server.use(http.post(`${API}/media/copy`, ({ request }) => {
+      copies.push(Object.fromEntries(new URL(request.url).searchParams));
+      return HttpResponse.json({ ok: true, copied: 1 });
+    }));
+    const file = deckFile("pics", ["cat"]);
+    file.cards[0].meaning = "![cat](media/cat.png)";
+    await putDeck(deckFromJson(file, "pics"));
+    save("deck_name", "pics");
+    render(<StudyMode />);
+    await waitFor(() => expect(screen.getByRole("option", { name: "words.json" })).toBeInTheDocument());
+
+    fireEvent.click(screen.getByRole("button", { name: "Save to Server" }));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith("Saved ✔︎"));
+    expect(copies).toEqual([{ src: "pics", dest: "words" }]);
+  });
+
+  it("doesn't overwrite a server deck this device never loaded", async () => {
+    const ifMatch = [];
+    server.use(http.put(`${API}/cards`, ({ request }) => {
+      ifMatch.push(request.headers.get("If-Match"));
+      return HttpResponse.json({ ok: false, error: "conflict", rev: "rev1", deck: deckFile("cards", ["alpha"]) }, { status: 409 });
+    }));
+    await openStudy("default", ["abate"]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Save (default)" }));
+    expect(await screen.findByText(/changed on the server since you loaded it/)).toBeInTheDocument();
+    expect(ifMatch).toEqual(['"0"']);
+  });
+});
+
+describe("StudyMode library decks", () => {
+  it("shows a fork's media from the library deck it came from", async () => {
+    const file = deckFile("vocab", ["cat"]);
+    file.cards[0].term = "cat ![cat](media/cat.png)";
+    await putDeck({ ...deckFromJson(file, "vocab-fork"), source: { name: "vocab", mode: "fork", rev: "rev1" } });
+    save("deck_name", "vocab-fork");
+    render(<StudyMode />);
+    expect(await screen.findByAltText("cat")).toHaveAttribute("src", `${API}/media/vocab/cat.png`);
+  });
+});
@@ -0,0 +1,187 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { http, HttpResponse } from "msw";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { TestMode } from "./App.jsx";
+import { deckFromJson } from "./deck.js";
+import { deckRecordings, getDeck, putDeck, save } from "./storage.js";
+import { API, deckFile, server } from "./test/server.js";
+
+// a MediaRecorder over a fake mic stream: every take is one small webm blob
+class FakeRecorder {
+  static takes = 0;
+  constructor(stream) { this.stream = stream; this.state = "inactive"; }
+  start() { this.state = "recording"; }
+  stop() {
+    this.state = "inactive";
+    this.ondataavailable?.({ data: new Blob([`take ${++FakeRecorder.takes}`], { type: "audio/webm" }) });
+    this.onstop?.();
+  }
+}
+const track = { stop: vi.fn() };
+
+beforeEach(() => {
+  FakeRecorder.takes = 0;
+  vi.stubGlobal("MediaRecorder", FakeRecorder);
+  Object.defineProperty(navigator, "mediaDevices", {
+    configurable: true,
+    value: { getUserMedia: vi.fn(async () => ({ getTracks: () => [track] })) },
+  });
+  vi.spyOn(window, "alert").mockImplementation(() => {});
+  URL.createObjectURL ??= () => "blob:take";
+  URL.revokeObjectURL ??= () => {};
+});
+
+// answer each card: wait for its recording to start, then swipe on
+async function recordAll(fronts) {
+  for (const [n, front] of fronts.entries()) {
+    const card = await screen.findByText(front);
+    await waitFor(() => expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(n + 1));
+    const area = card.closest(".grid");
+    fireEvent.mouseDown(area, { clientX: 300, clientY: 200 });
+    fireEvent.mouseMove(document, { clientX: 200, clientY: 200 });
+    fireEvent.mouseUp(document, { clientX: 150, clientY: 200 });
+  }
+}
+
+describe("TestMode", () => {
+  it("records one take per card and submits them all for grading", async () => {
+    const received = [];
+    server.use(http.post(`${API}/process_test`, async ({ request }) => {
+      const form = await request.formData();
+      const meta = JSON.parse(form.get("meta"));
+      received.push({ meta, audio: [...form.keys()].filter(k => k.startsWith("audio_")) });
+      return HttpResponse.json({
+        ok: true,
+        results: meta.items.map((it, i) => ({ id: it.id, front: it.front, back: it.back, transcript: "x", score: i ? 0.2 : 0.8, similarity: 0.5, f1: 0.5, feedback: "ok" })),
+      });
+    }));
+    save("test_source", "custom");
+    save("test_deckRaw", "front,back,durationSec\nabate,to lessen,30\nbanal,common,30");
+    render(<TestMode />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Start" }));
+    await recordAll(["abate", "banal"]);
+
+    expect(await screen.findByText("50%", { exact: false })).toBeInTheDocument(); // average of 80% and 20%
+    expect(received).toHaveLength(1);
+    expect(received[0].meta).toMatchObject({ mode: "meaning", flashcards: "custom", items: [{ front: "abate" }, { front: "banal" }] });
+    expect(received[0].audio).toHaveLength(2);
+    expect(track.stop).toHaveBeenCalled();
+  });
+
+  it("asks for the microphone again when permission is denied", async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(new Error("denied"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    save("test_source", "custom");
+    save("test_deckRaw", "abate,to lessen,30");
+    render(<TestMode />);
+    fireEvent.click(await screen.findByRole("button", { name: "Start" }));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith("Microphone permission is required."));
+  });
+
+  it("still submits the takes it has when the microphone is lost partway through", async () => {
+    const audio = [];
+    server.use(http.post(`${API}/process_test`, async ({ request }) => {
+      const form = await request.formData();
+      audio.push([...form.keys()].filter(k => k.startsWith("audio_")));
+      return HttpResponse.json({ ok: true, results: [] });
+    }));
+    navigator.mediaDevices.getUserMedia
+      .mockImplementationOnce(async () => ({ getTracks: () => [track] }))
+      .mockRejectedValueOnce(new Error("lost"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    save("test_source", "custom");
+    save("test_deckRaw", "abate,to lessen,30\nbanal,common,30");
+    render(<TestMode />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Start" }));
+    await recordAll(["abate", "banal"]);
+    await waitFor(() => expect(audio).toHaveLength(1));
+    expect(audio[0]).toHaveLength(1);
+    expect(screen.queryByText("Waiting for recordings…")).not.toBeInTheDocument();
+  });
+
+  it("scores pronunciation word by word, keeps the attempt and grades the card", async () => {
+    server.use(http.post(`${API}/process_test`, async ({ request }) => {
+      const meta = JSON.parse((await request.formData()).get("meta"));
+      return HttpResponse.json({
+        ok: true,
+        results: meta.items.map(it => ({
+          id: it.id, front: it.front, has_audio: true, transcript: "big ward", stt: "whisper", score: 0.4,
+          words: [{ word: "big", status: "ok" }, { word: "world", status: "miss", heard: "ward" }], extra_words: [],
+          feedback: "Hard to make out",
+        })),
+      });
+    }));
+    await putDeck(deckFromJson(deckFile("speak", ["big world"]), "speak"));
+    save("deck_name", "speak");
+    save("test_kind", "pronounce");
+    render(<TestMode />);
+
+    await waitFor(() => expect(screen.getByText("Cards: 1")).toBeInTheDocument());
+    fireEvent.click(screen.getByRole("button", { name: "Start" }));
+    await recordAll(["big world"]);
+
+    expect(await screen.findByTitle("Heard “ward”")).toHaveTextContent("world");
+    await waitFor(async () => {
+      const deck = await getDeck("speak");
+      expect(deck.cards[0].lastGrade).toBe(1);
+      expect(deck.pronunciation.c1).toMatchObject([{ score: 0.4, heard: "big ward" }]);
+      expect(deck.log).toMatchObject([{ cardId: "c1", grade: 1, mode: "pronounce" }]);
+    });
+  });
+
+  it("doesn't count a reviewed last take again when it is resubmitted", async () => {
+    let posts = 0;
+    server.use(http.post(`${API}/process_test`, async ({ request }) => {
+      posts++;
+      const meta = JSON.parse((await request.formData()).get("meta"));
+      return HttpResponse.json({
+        ok: true,
+        results: meta.items.map(it => ({ id: it.id, front: it.front, has_audio: true, transcript: "hello", stt: "whisper", score: 0.9, words: [], extra_words: [] })),
+      });
+    }));
+    await putDeck(deckFromJson(deckFile("again", ["hello"]), "again"));
+    save("deck_name", "again");
+    save("test_kind", "pronounce");
+    const { unmount } = render(<TestMode />);
+    await waitFor(() => expect(screen.getByText("Cards: 1")).toBeInTheDocument());
+    fireEvent.click(screen.getByRole("button", { name: "Start" }));
+    await recordAll(["hello"]);
+    await waitFor(async () => expect((await deckRecordings("again"))[0].gradedAt).toEqual(expect.any(Number)));
+    unmount();
+
+    render(<TestMode />);
+    fireEvent.click(await screen.findByRole("button", { name: "Review last take (1)" }));
+    fireEvent.click(screen.getByRole("button", { name: "Submit for grading" }));
+    await waitFor(() => expect(posts).toBe(2));
+    await waitFor(() => expect(screen.getByRole("button", { name: "Resubmit" })).toBeInTheDocument());
+    const deck = await getDeck("again");
+    expect(deck.pronunciation.c1).toHaveLength(1);
+    expect(deck.log).toHaveLength(1);
+  });
+
+  it("asks the server to score the words of the front, without Markdown, media or cloze blanks", async () => {
+    let items;
+    server.use(http.post(`${API}/process_test`, async ({ request }) => {
+      items = JSON.parse((await request.formData()).get("meta")).items;
+      return HttpResponse.json({ ok: true, results: [] });
+    }));
+    const file = deckFile("read", ["big"]);
+    file.cards = [
+      { id: "c1", term: "**big** world ![map](media/world.png)", meaning: "large planet" },
+      { id: "c2", term: "The {{c1::sun}} is hot", meaning: "" },
+    ];
+    await putDeck(deckFromJson(file, "read"));
+    save("deck_name", "read");
+    save("test_kind", "pronounce");
+    render(<TestMode />);
+
+    await waitFor(() => expect(screen.getByText("Cards: 2")).toBeInTheDocument());
+    fireEvent.click(screen.getByRole("button", { name: "Start" }));
+    await recordAll([/big/, /The/]);
+
+    await waitFor(() => expect(items).toMatchObject([{ front: "big world" }, { front: "The sun is hot" }]));
+  });
+});
+
@@ -0,0 +1,186 @@
+/**
+ * Anki interop: "Notes in Plain Text" (.txt) both ways, and .apkg packages in.
+ */
+import { csvField, parseDelimited } from "./deck.js";
+
+/** ------- Anki: "Notes in Plain Text" (.txt) + .apkg packages ------- */
+const ANKI_SEPARATORS = { tab: "\t", comma: ",", semicolon: ";", space: " ", pipe: "|", colon: ":" };
+const MEDIA_MAX_BYTES = 20 * 1024 * 1024; // larger files are skipped; matches the server's default upload cap
+const MEDIA_TYPES = {
+  jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml",
+  mp3: "audio/mpeg", ogg: "audio/ogg", oga: "audio/ogg", wav: "audio/wav", m4a: "audio/mp4", webm: "audio/webm",
+};
+
+/** Anki field HTML → plain text, plus the media files it references */
+function ankiHtmlToText(html) {
+  const media = [];
+  const s = String(html ?? "").replace(/\[sound:([^\]]+)\]/g, (_, name) => { media.push(name); return ""; });
+  const doc = new DOMParser().parseFromString(s, "text/html");
+  doc.querySelectorAll("img[src]").forEach(img => { media.push(img.getAttribute("src")); img.remove(); });
+  doc.querySelectorAll("br").forEach(br => br.replaceWith("\n"));
+  doc.querySelectorAll("div, p, li").forEach(el => el.append("\n"));
+  return { text: (doc.body.textContent || "").replace(/\n{3,}/g, "\n\n").trim(), media };
+}
+
+/** minimal card-template renderer: {{Field}}, {{text:Field}}, {{#Field}}…{{/Field}}, {{^Field}}…{{/Field}} */
+function renderAnkiTemplate(fmt, values) {
+  let s = fmt, prev;
+  do {
+    prev = s;
+    s = s.replace(/\{\{([#^])([^}]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, kind, name, inner) => {
+      const filled = !!ankiHtmlToText(values[name.trim()]).text || /\[sound:|<img/i.test(values[name.trim()] || "");
+      return (kind === "#") === filled ? inner : "";
+    });
+  } while (s !== prev);
+  return s.replace(/\{\{([^}]+)\}\}/g, (_, tag) => (tag.startsWith("type:") ? "" : values[tag.split(":").pop().trim()] ?? ""));
+}
+
+export function parseAnkiText(text) {
+  const lines = text.split(/\r?\n/);
+  const opts = { separator: "\t", html: true, tags: -1, guid: -1, notetype: -1, deck: -1 };
+  let start = 0;
+  for (; start < lines.length && lines[start].startsWith("#"); start++) {
+    const m = lines[start].match(/^#([\w ]+):(.*)$/);
+    if (!m) continue;
+    const key = m[1].trim().toLowerCase(), val = m[2].trim();
+    if (key === "separator") opts.separator = ANKI_SEPARATORS[val.toLowerCase()] ?? val;
+    else if (key === "html") opts.html = val === "true";
+    else if (key.endsWith(" column")) opts[key.replace(/ column$/, "")] = Number(val) - 1;
+    else if (key === "notetype") opts.notetypeName = val;
+  }
+  const conv = (v) => (opts.html ? ankiHtmlToText(v).text : String(v ?? "").trim());
+  const metaCols = new Set([opts.tags, opts.guid, opts.notetype, opts.deck]);
+  return parseDelimited(lines.slice(start).join("\n"), opts.separator).flatMap(r => {
+    const [f, b] = r.filter((_, col) => !metaCols.has(col)).map(conv);
+    const tags = opts.tags >= 0 ? (r[opts.tags] || "").split(/\s+/).filter(Boolean) : [];
+    const guid = opts.guid >= 0 ? r[opts.guid] : "";
+    const out = [{ id: guid || null, fields: { front: f, back: b, ...(opts.tags >= 0 ? { tags } : {}) } }];
+    // "Basic (and reversed card)" and friends: the second template swaps the faces
+    if (/revers/i.test(opts.notetype >= 0 ? r[opts.notetype] : opts.notetypeName || "")) {
+      out.push({ id: guid ? `${guid}-2` : null, fields: { ...out[0].fields, front: b, back: f } });
+    }
+    return out;
+  });
+}
+
+/** Anki card row → our ease/interval/reps/due/lastGrade */
+function ankiProgress(card, crt, lastReview) {
+  const interval = card.ivl > 0 ? card.ivl : card.ivl < 0 ? -card.ivl / 86400 : 0; // negative ivl = seconds
+  let due = Date.now();
+  if (card.type !== 0) due = card.due > 1e9 ? card.due * 1000 : (crt + card.due * 86400) * 1000; // learning: epoch s; review: days since crt
+  return {
+    ease: card.factor > 0 ? card.factor / 1000 : 2.5,
+    interval,
+    reps: card.type === 2 ? Math.max(2, card.reps - card.lapses) : 0,
+    due,
+    lastGrade: [0, 3, 5, 1][card.type] ?? 0, // new, learning, review, relearning
+    reviewedAt: lastReview ?? null,
+  };
+}
+
+export async function parseApkg(buffer) {
+  const [{ unzipSync, strFromU8 }, { default: initSqlJs }, { default: wasmUrl }] = await Promise.all([
+    import("fflate"),
+    import("sql.js"),
+    import("sql.js/dist/sql-wasm-browser.wasm?url"),
+  ]);
+  const files = unzipSync(new Uint8Array(buffer));
+  const colFile = files["collection.anki21"] || (!files["collection.anki21b"] && files["collection.anki2"]);
+  if (!colFile) {
+    throw new Error(files["collection.anki21b"]
+      ? "This package uses the newest Anki format. Re-export it with “Support older Anki versions” checked."
+      : "No Anki collection found in this file.");
+  }
+
+  const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+  const db = new SQL.Database(colFile);
+  const rowsOf = (sql) => {
+    const [res] = db.exec(sql);
+    return res ? res.values.map(v => Object.fromEntries(res.columns.map((c, i) => [c, v[i]]))) : [];
+  };
+  let col, notes, ankiCards, lastReviews;
+  try {
+    col = rowsOf("SELECT crt, models FROM col")[0] || {};
+    notes = new Map(rowsOf("SELECT id, guid, mid, tags, flds FROM notes").map(n => [n.id, n]));
+    ankiCards = rowsOf("SELECT id, nid, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord");
+    lastReviews = new Map(rowsOf("SELECT cid, MAX(id) AS at FROM revlog GROUP BY cid").map(r => [r.cid, r.at]));
+  } finally {
+    db.close();
+  }
+  let models = {};
+  try { models = JSON.parse(col.models || "{}"); } catch { /* schema 18: note types live elsewhere */ }
+
+  const mediaIndex = {}; // file name → zip entry
+  try { Object.entries(JSON.parse(strFromU8(files.media || new Uint8Array()) || "{}")).forEach(([k, name]) => { mediaIndex[name] = k; }); }
+  catch { /* newer packages encode the media map differently */ }
+  const mediaCache = new Map();
+  const skipped = { cloze: 0, empty: 0, media: 0 };
+  async function attach(names, side) {
+    const out = [];
+    for (const name of names) {
+      const bytes = files[mediaIndex[name]];
+      if (!bytes || bytes.length > MEDIA_MAX_BYTES) { skipped.media++; continue; }
+      const type = MEDIA_TYPES[name.split(".").pop().toLowerCase()] || "application/octet-stream";
+      if (!mediaCache.has(name)) {
+        mediaCache.set(name, await new Promise((resolve, reject) => {
+          const fr = new FileReader();
+          fr.onload = () => resolve(fr.result);
+          fr.onerror = () => reject(fr.error);
+          fr.readAsDataURL(new Blob([bytes], { type }));
+        }));
+      }
+      out.push({ name, type, side, src: mediaCache.get(name) });
+    }
+    return out;
+  }
+
+  const rows = [];
+  for (const card of ankiCards) {
+    const note = notes.get(card.nid);
+    if (!note) continue;
+    const model = models[String(note.mid)];
+    if (model?.type === 1) { skipped.cloze++; continue; }
+    const flds = String(note.flds).split("\x1f");
+    const tmpl = model?.tmpls?.find(t => t.ord === card.ord) || model?.tmpls?.[card.ord];
+    let q, a;
+    if (tmpl && model.flds) {
+      const values = Object.fromEntries(model.flds.map((f, i) => [f.name, flds[i] ?? ""]));
+      q = renderAnkiTemplate(tmpl.qfmt, values);
+      a = renderAnkiTemplate(tmpl.afmt.replace(/\{\{FrontSide\}\}/g, "").replace(/<hr id=["']?answer["']?\s*\/?>/i, ""), values);
+    } else {
+      [q, a] = card.ord === 1 ? [flds[1], flds[0]] : [flds[0], flds[1]];
+    }
+    const front = ankiHtmlToText(q), back = ankiHtmlToText(a);
+    if (!front.text && !front.media.length) { skipped.empty++; continue; }
+    rows.push({
+      id: card.ord === 0 ? note.guid : `${note.guid}-${card.ord + 1}`,
+      fields: {
+        front: front.text,
+        back: back.text,
+        tags: String(note.tags || "").split(/\s+/).filter(Boolean),
+        media: [...await attach(front.media, "front"), ...await attach(back.media, "back")],
+      },
+      progress: ankiProgress(card, col.crt || 0, lastReviews.get(card.id)),
+    });
+  }
+
+  const messages = [];
+  if (skipped.cloze) messages.push(`${skipped.cloze} cloze cards skipped (not supported).`);
+  if (skipped.empty) messages.push(`${skipped.empty} cards with an empty front skipped.`);
+  if (skipped.media) messages.push(`${skipped.media} media files missing or over ${MEDIA_MAX_BYTES / (1024 * 1024)} MB skipped.`);
+  return { rows, notes: messages };
+}
+
+/** tab-separated notes Anki imports as "Basic"; guid = our id so re-imports update in place */
+export function deckToAnkiText(cards, name) {
+  return [
+    "#separator:tab",
+    "#html:false",
+    "#notetype:Basic",
+    `#deck:${name}`,
+    "#guid column:1",
+    "#tags column:4",
+    ...cards.map(c => [c.id, c.front, c.back, (c.tags || []).map(t => t.replace(/\s+/g, "_")).join(" ")]
+      .map(v => csvField(v, "\t")).join("\t")),
+  ].join("\n");
+}
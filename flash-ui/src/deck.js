@@ -0,0 +1,345 @@
+/**
+ * Cards and deck files: the card model, CSV / TSV parsing and import plans, cloze notes,
+ * and the deck JSON schema shared with the server.
+ */
+import {
+  DEFAULT_LIMITS, DEFAULT_SCHEDULER, DIRECTIONS, clampD, dirsOf, isHard, limitsFromJson, num, schedulerFromJson,
+} from "./scheduler.js";
+
+export const SAMPLE = `front,back,durationSec
+abate,减弱; 缓和; to lessen in intensity,10
+banal,陈腐的; 平庸的; common or overused,10
+capricious,反复无常的; given to sudden changes,10`;
+
+export function fixText(s) {
+  if (typeof s !== "string") return "";
+  return s.replace(/\\r?\\n/g, "\n");
+}
+
+/** a fresh, unseen card; `fields` overrides the defaults */
+export function newCard(fields) {
+  const now = Date.now();
+  return {
+    id: `n${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    front: "",
+    back: "",
+    durationSec: 12,
+    ease: 2.5,
+    interval: 0,
+    reps: 0,
+    due: now,
+    lastGrade: 0, // 0=unseen, 1=again, 3=hard, 5=good / know, 6=easy
+    marked: false,
+    tags: [],
+    media: [], // [{ name, type, side: "front" | "back", src }]
+    createdAt: now,
+    updatedAt: now,
+    reviewedAt: null,
+    ...fields,
+  };
+}
+
+/** ------- CSV / TSV (RFC 4180) ------- */
+export function parseDelimited(text, delimiter = ",") {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  // drop blank lines
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+/** tab > comma > pipe, judged on the first line; null = whitespace-separated */
+export function sniffDelimiter(text) {
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  return ["\t", ",", "|"].find(d => first.includes(d)) || null;
+}
+
+export const csvField = (v, delimiter = ",") => {
+  const s = String(v ?? "");
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// FNV-1a: content-derived ids, so re-importing the same term keeps its id
+function hashId(s) {
+  let h = 0x811c9dc5;
+  for (const ch of s) h = Math.imul(h ^ ch.codePointAt(0), 0x01000193) >>> 0;
+  return h.toString(36);
+}
+export const frontKey = (s) => String(s ?? "").trim().toLowerCase();
+function uniqueId(base, taken) {
+  let id = base, n = 2;
+  while (taken.has(id)) id = `${base}-${n++}`;
+  taken.add(id);
+  return id;
+}
+
+export function parseDeck(raw, defaultSeconds = 12) {
+  const text = raw.trim();
+  if (!text) return [];
+  const delim = sniffDelimiter(text);
+  let rows = delim
+    ? parseDelimited(text, delim)
+    : text.split(/\r?\n/).map(l => { const [f, ...r] = l.trim().split(/\s+/); return [f, r.join(" ")]; });
+  rows = rows.map(r => r.map(s => s.trim()));
+  if (rows.length && rows[0][0].toLowerCase() === "front") rows.shift();
+  const taken = new Set();
+  return rows
+    .filter(r => r[0] && (r[1] || clozeIndexes(r[0]).length))
+    .flatMap(r => expandCloze(newCard({
+      id: uniqueId(`c${hashId(frontKey(r[0]))}`, taken),
+      front: r[0],
+      back: fixText(r[1]),
+      durationSec: Number(r[2]) > 0 ? Number(r[2]) : defaultSeconds,
+    })));
+}
+
+/** ------- import: column mapping + merge plan ------- */
+export const IMPORT_FIELDS = {
+  front: /^(front|term|word|question|q)$/i,
+  back: /^(back|meaning|definition|answer|a)$/i,
+  durationSec: /^(duration|durationsec|seconds|secs?)$/i,
+  tags: /^tags?$/i,
+  id: /^id$/i,
+};
+
+export function looksLikeHeader(row) {
+  return (row || []).some(h => Object.values(IMPORT_FIELDS).some(re => re.test(h.trim())));
+}
+
+/** field → column index (-1 = not imported) */
+export function guessMapping(header, ncols) {
+  const m = Object.fromEntries(Object.keys(IMPORT_FIELDS).map(k => [k, -1]));
+  if (header) {
+    header.forEach((h, col) => {
+      const k = Object.keys(IMPORT_FIELDS).find(f => IMPORT_FIELDS[f].test(h.trim()));
+      if (k && m[k] < 0) m[k] = col;
+    });
+  }
+  if (m.front < 0 && m.back < 0) { m.front = 0; m.back = ncols > 1 ? 1 : -1; if (!header && ncols > 2) m.durationSec = 2; }
+  return m;
+}
+
+export function rowToFields(row, mapping) {
+  const at = (k) => (mapping[k] >= 0 ? (row[mapping[k]] ?? "").trim() : "");
+  const fields = { front: at("front"), back: fixText(at("back")) };
+  if (mapping.durationSec >= 0 && Number(at("durationSec")) > 0) fields.durationSec = Number(at("durationSec"));
+  if (mapping.tags >= 0) fields.tags = parseTags(at("tags"));
+  return { id: at("id") || null, fields };
+}
+
+/**
+ * Match imported rows against the deck: by id when the file has one, else by front.
+ * status: new | update (content differs) | same | dup (repeated in file) | invalid
+ */
+export function planImport(existing, rows) {
+  const byId = new Map(existing.map(c => [String(c.id), c]));
+  const byFront = new Map(existing.map(c => [frontKey(c.front), c]));
+  const taken = new Set(byId.keys());
+  const seen = new Set();
+  return rows.map(({ id, fields, progress }) => {
+    if (!fields.front || (!fields.back && !clozeIndexes(fields.front).length)) return { status: "invalid", fields };
+    const key = id ? `#${id}` : frontKey(fields.front);
+    if (seen.has(key)) return { status: "dup", fields };
+    seen.add(key);
+    const match = (id && byId.get(id)) || byFront.get(frontKey(fields.front));
+    if (match) {
+      const same = Object.entries(fields).every(([k, v]) => JSON.stringify(match[k]) === JSON.stringify(v));
+      return { status: same ? "same" : "update", fields, targetId: match.id };
+    }
+    return { status: "new", fields, progress, id: id && !taken.has(id) ? (taken.add(id), id) : uniqueId(`c${hashId(frontKey(fields.front))}`, taken) };
+  });
+}
+
+// tags typed as "a b, c" → ["a", "b", "c"]
+export const parseTags = (s) => [...new Set(String(s || "").split(/[\s,;]+/).filter(Boolean))];
+
+/** ------- cloze notes -------
+ * "{{c1::answer}}" or "{{c1::answer::hint}}" in a front makes a cloze note: one card per index,
+ * sharing `noteId`, with `cloze` = the index it blanks. Each card keeps its own schedule;
+ * the back is optional extra text shown after the reveal.
+ */
+const CLOZE_RE = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+export const clozeIndexes = (text) =>
+  [...new Set([...String(text ?? "").matchAll(CLOZE_RE)].map(m => Number(m[1])))].sort((a, b) => a - b);
+
+/** one card → its cloze siblings (unchanged if it has no {{cN::…}} or is already a sibling) */
+export function expandCloze(card) {
+  const ns = clozeIndexes(card.front);
+  if (card.cloze || !ns.length) return [card];
+  return ns.map(n => ({ ...card, id: `${card.id}-c${n}`, noteId: card.id, cloze: n }));
+}
+
+// the note text with this card's span blanked (or bolded on reveal) and the others filled in
+const clozeText = (card, reveal) => fixText(card.front).replace(CLOZE_RE, (_, n, answer, hint) =>
+  Number(n) !== card.cloze ? answer : reveal ? `**${answer}**` : `**[${hint || "…"}]**`);
+const clozeAnswer = (card) =>
+  [...fixText(card.front).matchAll(CLOZE_RE)].filter(m => Number(m[1]) === card.cloze).map(m => m[2]).join(" … ");
+
+/** what a drill shows for one side: cloze cards ask the blanked sentence and expect the hidden words */
+export const sideText = (card, side) => (card.cloze
+  ? (side === "front" ? clozeText(card, false) : clozeAnswer(card))
+  : fixText(card[side]));
+
+/** queue ids with every note's siblings pulled together at the first one's place */
+export function groupSiblings(ids, byId) {
+  const byNote = new Map();
+  for (const id of ids) {
+    const note = byId(id)?.noteId;
+    if (note) byNote.set(note, [...(byNote.get(note) || []), id]);
+  }
+  const done = new Set();
+  return ids.flatMap(id => {
+    const note = byId(id)?.noteId;
+    if (!note) return [id];
+    if (done.has(note)) return [];
+    done.add(note);
+    return byNote.get(note);
+  });
+}
+
+/** prompt / answer text for a card shown in `dir`, plus which media side goes with each */
+export const facesOf = (card, dir) => (card.cloze
+  ? { front: clozeText(card, false), back: [clozeText(card, true), fixText(card.back)].filter(t => t.trim()).join("\n\n"), frontSide: "front", backSide: "back" }
+  : dir === "reverse"
+    ? { front: fixText(card.back), back: card.front, frontSide: "back", backSide: "front" }
+    : { front: card.front, back: fixText(card.back), frontSide: "front", backSide: "back" });
+/** directions a card is studied in — a cloze card only makes sense forwards */
+export const viewDirs = (card, direction) => (card.cloze ? ["forward"] : dirsOf(direction));
+
+/** the words of a face without Markdown syntax (speech, answer grading) */
+export const plainText = (s) => fixText(s)
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")   // images / audio clips
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // links → their text
+  .replace(/[$*_`#>~|]+/g, " ")
+  .replace(/[ \t]+/g, " ")
+  .trim();
+/** a side as it is read aloud (pronunciation tests): plain words, a cloze front with its blank filled in */
+export const spokenText = (card, side) => plainText(card.cloze && side === "front" ? clozeText(card, true) : sideText(card, side));
+
+/** ------- deck JSON schema (server + local files) -------
+ * v1 (no `version`): { cards: [{id, term, meaning}], hard: [ids], know: [ids], mark: [ids] }
+ * v2: v1 + { version, name, savedAt } and per-card durationSec, ease, interval,
+ *     reps, due, lastGrade, tags, media, createdAt, updatedAt, reviewedAt (epoch ms),
+ *     deck `direction` (forward | reverse | both) and per-card `rev` = back→front scheduling,
+ *     deck `log` = review log [{ cardId, dir, ts, grade, prevInterval, nextInterval, ms, mode }],
+ *     deck `scheduler` = { algo: sm2 | leitner | fsrs, w, retention } and per-card (and `rev`)
+ *     `box` (Leitner) / `stability` + `difficulty` (FSRS),
+ *     deck `limits` = { newPerDay, reviewsPerDay, dayStartHour } for the Due session,
+ *     optional deck `description` (shown in the library).
+ * Cloze siblings add `noteId` + `cloze` (the index they blank); the term holds the {{cN::…}} note text.
+ * hard/know/mark are still written (front→back only) so v1 readers keep working.
+ */
+const DECK_VERSION = 2;
+
+function migrateDeckJson(j) {
+  const version = Number(j?.version) || 1;
+  if (version > DECK_VERSION) console.warn(`Deck schema v${version} is newer than v${DECK_VERSION}; unknown fields are ignored.`);
+  // v1 → v2 only adds fields; missing ones take defaults in cardsFromDeckJson
+  return { ...j, version: DECK_VERSION };
+}
+
+// Leitner box / FSRS memory, when the deck was studied with those schedulers
+const schedExtras = (c) => ({
+  ...(num(c.box, -1) >= 0 ? { box: c.box } : {}),
+  ...(num(c.stability, 0) > 0 ? { stability: c.stability, difficulty: clampD(num(c.difficulty, 5)) } : {}),
+});
+
+export function cardsFromDeckJson(j) {
+  const deck = migrateDeckJson(j);
+  const hard = new Set(deck.hard || []);
+  const know = new Set(deck.know || []);
+  const mark = new Set(deck.mark || []);
+  const now = Date.now();
+  // hand-written cloze cards ({{c1::…}} in the term, no `cloze`) are expanded into siblings here
+  return (deck.cards || []).flatMap((c, i) => expandCloze({
+    id: c.id ?? `r${i}`,
+    ...(num(c.cloze, 0) > 0 && c.noteId != null ? { noteId: c.noteId, cloze: c.cloze } : {}),
+    front: c.term,
+    back: fixText(c.meaning),
+    durationSec: num(c.durationSec, 0) > 0 ? c.durationSec : 12,
+    ease: num(c.ease, 2.5),
+    interval: num(c.interval, 0),
+    reps: num(c.reps, 0),
+    due: num(c.due, now),
+    lastGrade: num(c.lastGrade, know.has(c.id) ? 5 : hard.has(c.id) ? 3 : 0),
+    marked: mark.has(c.id),
+    tags: Array.isArray(c.tags) ? c.tags.map(String) : [],
+    media: Array.isArray(c.media) ? c.media : [],
+    createdAt: num(c.createdAt, now),
+    updatedAt: num(c.updatedAt, now),
+    reviewedAt: num(c.reviewedAt, null),
+    ...schedExtras(c),
+    ...(c.rev && typeof c.rev === "object" ? {
+      rev: {
+        ease: num(c.rev.ease, 2.5), interval: num(c.rev.interval, 0), reps: num(c.rev.reps, 0),
+        due: num(c.rev.due, now), lastGrade: num(c.rev.lastGrade, 0), reviewedAt: num(c.rev.reviewedAt, null),
+        ...schedExtras(c.rev),
+      },
+    } : {}),
+  }));
+}
+
+export function deckToJson(cards, name, { direction = "forward", log = [], scheduler = DEFAULT_SCHEDULER, limits = DEFAULT_LIMITS, description } = {}) {
+  return {
+    version: DECK_VERSION,
+    name,
+    ...(description ? { description } : {}),
+    direction,
+    scheduler,
+    limits,
+    log,
+    savedAt: Date.now(),
+    cards: cards.map(c => ({
+      id: c.id,
+      ...(c.cloze ? { noteId: c.noteId, cloze: c.cloze } : {}),
+      term: c.front,
+      meaning: c.back,
+      durationSec: c.durationSec,
+      ease: c.ease,
+      interval: c.interval,
+      reps: c.reps,
+      due: c.due,
+      lastGrade: c.lastGrade,
+      tags: c.tags || [],
+      ...(c.media?.length ? { media: c.media } : {}),
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt,
+      reviewedAt: c.reviewedAt ?? null,
+      ...schedExtras(c),
+      ...(c.rev ? { rev: c.rev } : {}),
+    })),
+    hard: cards.filter(c => isHard(c)).map(c => c.id),
+    know: cards.filter(c => c.lastGrade >= 5).map(c => c.id),
+    mark: cards.filter(c => c.marked).map(c => c.id),
+  };
+}
+
+export function deckFromJson(j, name) {
+  const cards = cardsFromDeckJson(j);
+  return {
+    name,
+    cards,
+    queue: cards.map(c => c.id),
+    direction: DIRECTIONS.some(([d]) => d === j.direction) ? j.direction : "forward",
+    log: Array.isArray(j.log) ? j.log : [],
+    scheduler: schedulerFromJson(j.scheduler),
+    limits: limitsFromJson(j.limits),
+    ...(typeof j.description === "string" && j.description ? { description: j.description } : {}),
+  };
+}
+
+export const REVIEW_LOG_MAX = 20000; // review log entries kept per deck; the oldest drop off first
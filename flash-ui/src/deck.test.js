@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { cardsFromDeckJson, deckFromJson, deckToJson, fixText, parseDeck, parseDelimited, planImport, sniffDelimiter, spokenText } from "./deck.js";
+import { DEFAULT_LIMITS, schedule } from "./scheduler.js";
+
+describe("parseDelimited", () => {
+  it("keeps delimiters, quotes and newlines inside quoted fields", () => {
+    expect(parseDelimited('a,"b, c"\n"say ""hi""","x\ny"')).toEqual([["a", "b, c"], ['say "hi"', "x\ny"]]);
+  });
+
+  it("handles CRLF, a missing final newline and blank lines", () => {
+    expect(parseDelimited("a,b\r\n\r\nc,d\r\n")).toEqual([["a", "b"], ["c", "d"]]);
+    expect(parseDelimited("a,b\n,\nc,")).toEqual([["a", "b"], ["c", ""]]);
+  });
+
+  it("only opens a quote at the start of a field", () => {
+    expect(parseDelimited('it"s,fine')).toEqual([['it"s', "fine"]]);
+  });
+});
+
+describe("parseDeck", () => {
+  it("sniffs tab / comma / pipe from the first line", () => {
+    expect(sniffDelimiter("a\tb,c")).toBe("\t");
+    expect(sniffDelimiter("a,b|c")).toBe(",");
+    expect(sniffDelimiter("a b")).toBeNull();
+  });
+
+  it("skips the header and rows without a back, and reads durationSec", () => {
+    const cards = parseDeck("front,back,durationSec\nabate,减弱,10\nlonely,\nbanal,陈腐的,oops", 7);
+    expect(cards.map(c => [c.front, c.back, c.durationSec])).toEqual([["abate", "减弱", 10], ["banal", "陈腐的", 7]]);
+  });
+
+  it("splits whitespace-separated lines into a term and the rest", () => {
+    expect(parseDeck("abate to lessen\nbanal overused").map(c => c.back)).toEqual(["to lessen", "overused"]);
+  });
+
+  it("derives stable ids from the term and keeps repeats apart", () => {
+    const a = parseDeck("abate,x\nAbate,y"), b = parseDeck("abate,z");
+    expect(a[0].id).toBe(b[0].id);
+    expect(a[1].id).toBe(`${a[0].id}-2`);
+  });
+
+  it("expands cloze notes into one card per index", () => {
+    const cards = parseDeck('"{{c1::Paris}} is in {{c2::France}}",');
+    expect(cards.map(c => c.cloze)).toEqual([1, 2]);
+    expect(new Set(cards.map(c => c.noteId)).size).toBe(1);
+  });
+
+  it("unescapes doubly escaped line breaks", () => {
+    expect(fixText("one\\\\ntwo")).toBe("one\ntwo");
+    expect(fixText("one\\r\\ntwo")).toBe("one\ntwo");
+    expect(fixText(null)).toBe("");
+  });
+});
+
+describe("planImport", () => {
+  it("matches rows by front and flags updates, duplicates and invalid rows", () => {
+    const existing = parseDeck("abate,old");
+    const rows = [
+      { fields: { front: "abate", back: "new" } },
+      { fields: { front: "banal", back: "x" } },
+      { fields: { front: "banal", back: "y" } },
+      { fields: { front: "", back: "z" } },
+    ];
+    expect(planImport(existing, rows).map(r => r.status)).toEqual(["update", "new", "dup", "invalid"]);
+  });
+});
+
+describe("deck JSON", () => {
+  it("round-trips cards, reverse state, scheduler and limits", () => {
+    const [a, b] = parseDeck("abate,减弱\nbanal,陈腐的");
+    const graded = { ...schedule({ ...a, tags: ["verbs"], marked: true }, 5), rev: { ease: 2.3, interval: 1, reps: 1, due: 5, lastGrade: 3, reviewedAt: 4 } };
+    const scheduler = { algo: "leitner", w: Array(19).fill(1), retention: 0.85 };
+    const json = JSON.parse(JSON.stringify(deckToJson([graded, b], "gre", {
+      direction: "both", scheduler, limits: { ...DEFAULT_LIMITS, newPerDay: 5 }, description: "GRE words",
+      log: [{ cardId: a.id, dir: "forward", ts: 1, grade: 5, prevInterval: 0, nextInterval: 1 }],
+    })));
+    const deck = deckFromJson(json, "gre");
+
+    expect(deck.cards).toEqual([graded, b]);
+    expect(deck).toMatchObject({ direction: "both", scheduler, description: "GRE words", queue: [a.id, b.id] });
+    expect(deck.limits.newPerDay).toBe(5);
+    expect(deck.log).toHaveLength(1);
+    expect(json.know).toEqual([a.id]);
+  });
+
+  it("reads v1 files (term / meaning + hard / know / mark lists)", () => {
+    const cards = cardsFromDeckJson({ cards: [{ id: 1, term: "a", meaning: "x\\\\ny" }, { id: 2, term: "b", meaning: "z" }], hard: [2], mark: [1] });
+    expect(cards.map(c => [c.front, c.back, c.lastGrade, c.marked])).toEqual([["a", "x\ny", 0, true], ["b", "z", 3, false]]);
+  });
+
+  it("falls back to defaults for unknown directions, schedulers and bad numbers", () => {
+    const deck = deckFromJson({ direction: "sideways", scheduler: { algo: "nope" }, cards: [{ id: "x", term: "t", meaning: "m", ease: "high" }] }, "d");
+    expect(deck.direction).toBe("forward");
+    expect(deck.scheduler.algo).toBe("sm2");
+    expect(deck.cards[0].ease).toBe(2.5);
+  });
+});
+
+describe("spokenText", () => {
+  it("drops Markdown, math delimiters and media references", () => {
+    expect(spokenText({ front: "**big** world ![map](media/world.png)" }, "front")).toBe("big world");
+    expect(spokenText({ back: "[the sun](https://example.org) is $x$" }, "back")).toBe("the sun is x");
+  });
+
+  it("fills in a cloze card's blank", () => {
+    const card = { front: "The {{c1::sun::star}} is {{c2::hot}}", cloze: 1 };
+    expect(spokenText(card, "front")).toBe("The sun is hot");
+    expect(spokenText(card, "back")).toBe("sun");
+  });
+});
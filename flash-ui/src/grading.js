@@ -0,0 +1,67 @@
+/**
+ * Local answer grading for typed answers — the same rubric as the backend's /process_test.
+ */
+
+/** ------- local answer grading (port of flash-backend normalize/tokens/process_test) ------- */
+const EN_STOP = new Set(`
+a about above after again against all am an and any are as at be because been before being below between both but by can did do does doing down during each few for from further had has have having he her here hers herself him himself his how i if in into is it its itself just me more most my myself no nor not of off on once only or other our ours ourselves out over own same she should so some such than that the their theirs them themselves then there these they this those through to too under until up very was we were what when where which while who whom why will with you your yours yourself yourselves
+`.split(/\s+/).filter(Boolean));
+
+// lower, remove punctuation but keep CJK chars
+const normalize = (txt) => String(txt ?? "").toLowerCase().replace(/[^\p{L}\p{N}_\u4e00-\u9fff]+/gu, " ").replace(/\s+/g, " ").trim();
+
+// CJK characters are single-token "words"; latin words minus stopwords
+function tokens(txt) {
+  const norm = normalize(txt);
+  const cjk = norm.match(/[\u4e00-\u9fff]/g) || [];
+  const latin = (norm.match(/[a-zA-Z]+/g) || []).filter(w => !EN_STOP.has(w) && w.length > 1);
+  return [...cjk, ...latin];
+}
+
+// difflib.SequenceMatcher(None, a, b).ratio(): 2*M / (len(a) + len(b))
+function similarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  function matched(alo, ahi, blo, bhi) {
+    let best = 0, bi = alo, bj = blo;
+    let prev = new Array(bhi - blo + 1).fill(0);
+    for (let i = alo; i < ahi; i++) {
+      const row = new Array(bhi - blo + 1).fill(0);
+      for (let j = blo; j < bhi; j++) {
+        if (a[i] !== b[j]) continue;
+        const k = row[j - blo + 1] = prev[j - blo] + 1;
+        if (k > best) { best = k; bi = i - k + 1; bj = j - k + 1; }
+      }
+      prev = row;
+    }
+    if (!best) return 0;
+    return best + matched(alo, bi, blo, bj) + matched(bi + best, ahi, bj + best, bhi);
+  }
+  return (2 * matched(0, a.length, 0, b.length)) / (a.length + b.length);
+}
+
+/** same rubric as /process_test, plus the schedule() grade it implies */
+export function gradeAnswer(gold, answer) {
+  const goldNorm = normalize(gold), ansNorm = normalize(answer);
+  const goldKw = new Set(tokens(gold)), ansKw = new Set(tokens(ansNorm));
+  const inter = [...goldKw].filter(t => ansKw.has(t)).length;
+  const precision = ansKw.size ? inter / ansKw.size : 0;
+  const recall = goldKw.size ? inter / goldKw.size : 0;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  const sim = ansNorm ? similarity(goldNorm, ansNorm) : 0;
+
+  let feedback, grade;
+  if (!ansNorm) { feedback = "No answer."; grade = 1; }
+  else if (f1 >= 0.75 || sim >= 0.8) { feedback = "Great! You covered the key ideas."; grade = 5; }
+  else if (f1 >= 0.45 || sim >= 0.6) { feedback = "Partial: include the missing keywords shown."; grade = 3; }
+  else { feedback = "Low coverage: try to state the core meaning more directly."; grade = 1; }
+
+  const round = (x) => Math.round(x * 1000) / 1000;
+  return {
+    similarity: round(sim), precision: round(precision), recall: round(recall), f1: round(f1),
+    missing: [...goldKw].filter(t => !ansKw.has(t)).sort(),
+    extra: [...ansKw].filter(t => !goldKw.has(t)).sort(),
+    score: round(0.6 * f1 + 0.4 * sim),
+    feedback,
+    grade,
+  };
+}
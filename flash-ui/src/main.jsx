@@ -1,8 +1,11 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { registerSW } from 'virtual:pwa-register'
 import './index.css'
 import App from './App.jsx'
 
+registerSW({ immediate: true })
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
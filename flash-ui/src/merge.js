@@ -0,0 +1,125 @@
+/**
+ * Reconciling two copies of a deck: per-card merges for stale server saves, and library
+ * pulls / progress overlays for shared decks.
+ */
+import { REVIEW_LOG_MAX, newCard } from "./deck.js";
+import { SCHED_FIELDS, num } from "./scheduler.js";
+
+/** ------- deck merge (stale saves) -------
+ * Content (text, tags, media, mark) is picked per card: mine or theirs. Scheduling is
+ * never picked — each direction takes the state of whichever side was reviewed last.
+ */
+const CONTENT_FIELDS = ["front", "back", "durationSec", "marked", "tags", "media"];
+const contentOf = (c) => JSON.stringify(CONTENT_FIELDS.map(k => c[k] ?? null));
+export const schedOf = (c) => JSON.stringify([...SCHED_FIELDS.map(k => c[k] ?? null), c.rev ?? null]);
+const lastReviewed = (a, b) => (!a ? b : !b ? a : num(b.reviewedAt, 0) > num(a.reviewedAt, 0) ? b : a);
+
+// cards that differ in content or exist on one side only → [{ id, mine, theirs, pick }]
+export function diffDecks(mine, theirs) {
+  const mineById = new Map(mine.map(c => [c.id, c]));
+  const theirsById = new Map(theirs.map(c => [c.id, c]));
+  const rows = [];
+  for (const m of mine) {
+    const t = theirsById.get(m.id);
+    if (!t) rows.push({ id: m.id, mine: m, theirs: null, pick: "mine" });
+    else if (contentOf(m) !== contentOf(t)) {
+      rows.push({ id: m.id, mine: m, theirs: t, pick: num(t.updatedAt, 0) > num(m.updatedAt, 0) ? "theirs" : "mine" });
+    }
+  }
+  for (const t of theirs) if (!mineById.has(t.id)) rows.push({ id: t.id, mine: null, theirs: t, pick: "theirs" });
+  return rows;
+}
+
+// picks: { [id]: "mine" | "theirs" }; picking a side that lacks the card drops it
+export function mergeDeckCards(mine, theirs, picks = {}) {
+  const mineById = new Map(mine.map(c => [c.id, c]));
+  const theirsById = new Map(theirs.map(c => [c.id, c]));
+  const ids = [...mine.map(c => c.id), ...theirs.filter(c => !mineById.has(c.id)).map(c => c.id)];
+  return ids.flatMap(id => {
+    const m = mineById.get(id), t = theirsById.get(id);
+    const chosen = picks[id] === "theirs" ? t : picks[id] === "mine" ? m : (m ?? t);
+    if (!chosen) return [];
+    const fwd = lastReviewed(m, t), rev = lastReviewed(m?.rev, t?.rev);
+    const out = { ...chosen, ...Object.fromEntries(SCHED_FIELDS.map(k => [k, fwd[k]])) };
+    if (rev) out.rev = rev; else delete out.rev;
+    return [out];
+  });
+}
+
+// union of both review logs, deduped by card/direction/time
+export function mergeLogs(a = [], b = []) {
+  const seen = new Set();
+  return [...a, ...b]
+    .filter(e => { const k = `${e.cardId}|${e.dir}|${e.ts}`; return seen.has(k) ? false : !!seen.add(k); })
+    .sort((x, y) => x.ts - y.ts)
+    .slice(-REVIEW_LOG_MAX);
+}
+
+/** ------- shared library + per-profile progress -------
+ * Library decks on the server hold content; each person's progress lives in an overlay saved per
+ * local profile name (progress/<profile>/<deck>.json), so a deck is shared without clobbering anyone.
+ * A local deck made from the library keeps `source = { name, mode: fork | subscribe, rev, pulledAt }`:
+ * a subscription follows the library (cards added, changed and removed there) and saves its progress
+ * as an overlay; a fork is your own deck that can still pull new cards and edits you haven't overridden.
+ */
+const UPSTREAM_FIELDS = ["front", "back", "durationSec", "tags", "media", "noteId", "cloze"];
+const PROGRESS_FIELDS = [...SCHED_FIELDS, "marked"];
+
+/** a card's content with fresh (unseen) progress */
+export const freshCopy = (c) => newCard(Object.fromEntries(["id", "createdAt", "updatedAt", ...UPSTREAM_FIELDS].filter(k => c[k] !== undefined).map(k => [k, c[k]])));
+
+/** overlay JSON: { version, deck, profile, savedAt, direction, scheduler, limits, log, cards: { id: state } } */
+export function progressOf(cards, { deck, profile, direction, scheduler, limits, log }) {
+  return {
+    version: 1, deck, profile, savedAt: Date.now(), direction, scheduler, limits, log,
+    cards: Object.fromEntries(cards.filter(c => c.reviewedAt || c.lastGrade || c.marked || c.rev).map(c => [c.id, {
+      ...Object.fromEntries(PROGRESS_FIELDS.filter(k => c[k] !== undefined).map(k => [k, c[k]])),
+      ...(c.rev ? { rev: c.rev } : {}),
+    }])),
+  };
+}
+
+/** content cards with this profile's progress on top (ids the overlay doesn't know start unseen) */
+export function applyProgress(cards, overlay) {
+  const states = overlay?.cards || {};
+  return cards.map(c => {
+    const st = states[c.id];
+    if (!st || typeof st !== "object") return c;
+    const picked = Object.fromEntries(PROGRESS_FIELDS.filter(k => st[k] !== undefined).map(k => [k, st[k]]));
+    return { ...c, ...picked, ...(st.rev && typeof st.rev === "object" ? { rev: st.rev } : {}) };
+  });
+}
+
+/** two saves of one overlay: per card + direction the later review wins, logs are unioned */
+export function mergeProgress(mine, theirs) {
+  const ids = new Set([...Object.keys(theirs.cards || {}), ...Object.keys(mine.cards || {})]);
+  const cards = {};
+  for (const id of ids) {
+    const m = mine.cards?.[id], t = theirs.cards?.[id];
+    const fwd = lastReviewed(m, t), rev = lastReviewed(m?.rev, t?.rev);
+    cards[id] = { ...fwd, marked: (m ?? t).marked, ...(rev ? { rev } : {}) };
+  }
+  return { ...mine, cards, log: mergeLogs(mine.log, theirs.log), savedAt: Date.now() };
+}
+
+/**
+ * bring a local deck's content up to date with its library deck; progress is never touched.
+ * → { cards, added: [ids], removed: [ids], changed }
+ */
+export function pullUpstream(local, upstream, { mode, pulledAt = 0 }) {
+  const upById = new Map(upstream.map(c => [c.id, c]));
+  const localIds = new Set(local.map(c => c.id));
+  const removed = mode === "subscribe" ? local.filter(c => !upById.has(c.id)).map(c => c.id) : [];
+  let changed = 0;
+  const kept = local.flatMap(c => {
+    const u = upById.get(c.id);
+    if (!u) return mode === "subscribe" ? [] : [c];
+    // a fork keeps the cards you edited since the last pull
+    if (mode === "fork" && num(c.updatedAt, 0) > pulledAt) return [c];
+    if (UPSTREAM_FIELDS.every(k => JSON.stringify(c[k] ?? null) === JSON.stringify(u[k] ?? null))) return [c];
+    changed++;
+    return [{ ...c, ...Object.fromEntries(UPSTREAM_FIELDS.map(k => [k, u[k]])) }];
+  });
+  const added = upstream.filter(u => !localIds.has(u.id)).map(freshCopy);
+  return { cards: [...kept, ...added], added: added.map(c => c.id), removed, changed };
+}
@@ -0,0 +1,97 @@
+/**
+ * Search / filter queries over study views, and the Study queue each filter shows.
+ */
+import { plainText } from "./deck.js";
+import { interleave, isHard, isNewView } from "./scheduler.js";
+
+/** ------- search / filter queries -------
+ * Words AND together; AND / OR / NOT (or -word) and parentheses compose. Atoms:
+ *   tag:verbs   tag:none   due  new  hard  known  marked  cloze   front:… back:… "a phrase"
+ * Any other word matches front/back text. A view is { id, card, s } (s = that direction's state).
+ */
+const FILTER_STATES = {
+  due: (v, ctx) => v.s.due <= ctx.now && !ctx.buried.has(v.id),
+  new: (v) => !v.s.lastGrade,
+  unseen: (v) => !v.s.lastGrade,
+  hard: (v) => isHard(v.s),
+  known: (v) => v.s.lastGrade >= 5,
+  marked: (v) => !!v.card.marked,
+  cloze: (v) => !!v.card.cloze,
+};
+
+function filterAtom(tok) {
+  const quoted = tok.startsWith('"');
+  const word = (quoted ? tok.slice(1, -1) : tok).toLowerCase();
+  if (!quoted && FILTER_STATES[word]) return FILTER_STATES[word];
+  const m = !quoted && word.match(/^(tag|front|back):(.*)$/);
+  if (m?.[1] === "tag") {
+    return m[2] === "none" ? (v) => !v.card.tags?.length : (v) => (v.card.tags || []).some(t => t.toLowerCase() === m[2]);
+  }
+  const sides = m ? [m[1]] : ["front", "back"];
+  const needle = m ? m[2] : word;
+  return (v) => sides.some(side => plainText(v.card[side]).toLowerCase().includes(needle));
+}
+
+/** query → (view, { now, buried }) => boolean; throws on a malformed query. Empty matches all. */
+export function compileFilter(query) {
+  const toks = String(query || "").match(/"[^"]*"?|[()]|[^\s()]+/g) || [];
+  let p = 0;
+  const peek = () => toks[p];
+  function expr() {
+    let left = and();
+    while (peek() === "OR") { p++; const a = left, b = and(); left = (v, c) => a(v, c) || b(v, c); }
+    return left;
+  }
+  function and() {
+    let left = unary();
+    while (p < toks.length && peek() !== "OR" && peek() !== ")") {
+      if (peek() === "AND") p++;
+      const a = left, b = unary();
+      left = (v, c) => a(v, c) && b(v, c);
+    }
+    return left;
+  }
+  function unary() {
+    const t = toks[p++];
+    if (t === undefined) throw new Error("Unexpected end of query");
+    if (t === "NOT") { const a = unary(); return (v, c) => !a(v, c); }
+    if (t === "(") {
+      const a = expr();
+      if (toks[p++] !== ")") throw new Error("Missing )");
+      return a;
+    }
+    if (t === ")" || t === "AND" || t === "OR") throw new Error(`Unexpected ${t}`);
+    if (t.length > 1 && t.startsWith("-")) { const a = filterAtom(t.slice(1)); return (v, c) => !a(v, c); }
+    if (t.startsWith('"') && (t.length < 2 || !t.endsWith('"'))) throw new Error("Unclosed quote");
+    return filterAtom(t);
+  }
+  if (!toks.length) return () => true;
+  const fn = expr();
+  if (p < toks.length) throw new Error(`Unexpected ${toks[p]}`);
+  return fn;
+}
+
+// saved filters show as chips beside All / Due / Marked / Hard; their filter key is "q:<name>"
+export const DEFAULT_SAVED_FILTERS = [{ name: "Never seen", query: "new" }];
+
+/**
+ * What Study shows for a filter chip (all | due | marked | hard | q:<saved>) AND the search box.
+ * `match` / `saved` are compiled queries (null = none). Due = the most overdue reviews up to today's
+ * limit with new cards (in deck order) spread through them, then this session's lapses (`relearn` keys).
+ */
+export function visibleViews(views, { filter = "all", match = null, saved = null, now = Date.now(), buried = new Set(), relearn = [], newLeft = Infinity, reviewsLeft = Infinity } = {}) {
+  const ctx = { now, buried };
+  const matches = match || (() => true);
+  if (filter === "marked") return views.filter(v => v.card.marked && matches(v, ctx));
+  if (filter === "hard")   return views.filter(v => isHard(v.s) && matches(v, ctx));
+  if (filter === "due") {
+    const again = new Set(relearn);
+    const due = views.filter(v => !again.has(v.key) && v.s.due <= now && !buried.has(v.id) && matches(v, ctx));
+    const reviews = due.filter(v => !isNewView(v)).sort((a, b) => a.s.due - b.s.due).slice(0, reviewsLeft);
+    const fresh = due.filter(isNewView).slice(0, newLeft);
+    const byKey = new Map(views.map(v => [v.key, v]));
+    return [...interleave(reviews, fresh), ...relearn.map(k => byKey.get(k)).filter(Boolean)];
+  }
+  if (saved) return views.filter(v => saved(v, ctx) && matches(v, ctx));
+  return match ? views.filter(v => matches(v, ctx)) : views;
+}
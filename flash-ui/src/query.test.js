@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { compileFilter, visibleViews } from "./query.js";
+
+const NOW = 1_000_000;
+const view = (id, { front = id, back = "", tags = [], marked = false, ...s } = {}) => ({
+  key: id, id, dir: "forward",
+  card: { id, front, back, tags, marked },
+  s: { due: NOW, interval: 0, lastGrade: 0, ...s },
+});
+const views = [
+  view("a", { front: "abate", tags: ["verbs"], interval: 3, lastGrade: 5, due: NOW - 10 }),
+  view("b", { front: "banal", back: "common", interval: 1, lastGrade: 3, due: NOW - 20, marked: true }),
+  view("c", { front: "cant", tags: ["nouns"] }),
+  view("d", { front: "dour", tags: ["verbs"], interval: 5, lastGrade: 5, due: NOW + 99 }),
+];
+const ids = (vs) => vs.map(v => v.id);
+const run = (q) => ids(views.filter(v => compileFilter(q)(v, { now: NOW, buried: new Set() })));
+
+describe("compileFilter", () => {
+  it("matches state atoms, tags and text", () => {
+    expect(run("due")).toEqual(["a", "b", "c"]);
+    expect(run("new")).toEqual(["c"]);
+    expect(run("hard")).toEqual(["b"]);
+    expect(run("tag:verbs")).toEqual(["a", "d"]);
+    expect(run("back:common")).toEqual(["b"]);
+    expect(run('"ban"')).toEqual(["b"]);
+  });
+
+  it("composes AND / OR / NOT, -word and parentheses", () => {
+    expect(run("tag:verbs due")).toEqual(["a"]);
+    expect(run("tag:verbs AND -due")).toEqual(["d"]);
+    expect(run("hard OR new")).toEqual(["b", "c"]);
+    expect(run("NOT (tag:verbs OR marked)")).toEqual(["c"]);
+  });
+
+  it("matches everything when empty and throws on malformed queries", () => {
+    expect(run("")).toEqual(["a", "b", "c", "d"]);
+    for (const bad of ["(due", "due OR", '"open', "AND"]) expect(() => compileFilter(bad)).toThrow();
+  });
+});
+
+describe("visibleViews", () => {
+  it("filters marked / hard chips and ANDs the search box", () => {
+    expect(ids(visibleViews(views, { filter: "marked" }))).toEqual(["b"]);
+    expect(ids(visibleViews(views, { filter: "hard" }))).toEqual(["b"]);
+    expect(ids(visibleViews(views, { match: compileFilter("tag:verbs") }))).toEqual(["a", "d"]);
+    expect(ids(visibleViews(views, { saved: compileFilter("new"), match: compileFilter("tag:verbs") }))).toEqual([]);
+  });
+
+  it("orders Due by overdue first, caps it by the daily limits and appends lapses", () => {
+    const due = (opts) => ids(visibleViews(views, { filter: "due", now: NOW, ...opts }));
+    expect(due()).toEqual(["b", "a", "c"]);
+    expect(due({ reviewsLeft: 1, newLeft: 0 })).toEqual(["b"]);
+    expect(due({ relearn: ["b"] })).toEqual(["a", "c", "b"]);
+    expect(due({ buried: new Set(["a"]) })).toEqual(["b", "c"]);
+  });
+});
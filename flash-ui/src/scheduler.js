@@ -0,0 +1,280 @@
+/**
+ * Scheduling: the SM-2 / Leitner / FSRS schedulers, per-direction card state, and the daily
+ * limits that pace the Due session. Pure functions of (card, grade, settings, time).
+ */
+
+// a finite number, else the fallback (deck files come from anywhere)
+export const num = (v, f) => (typeof v === "number" && Number.isFinite(v) ? v : f);
+
+export const DAY_MS = 86400000;
+
+/** ------- schedulers -------
+ * Every algorithm reads and writes the shared state (ease, interval in days, reps, due, lastGrade,
+ * reviewedAt), so a deck can switch between them; their own extras (Leitner `box`, FSRS
+ * `stability` + `difficulty`) are derived from that state when a deck switches (convertState).
+ * Grades: 1=again, 3=hard, 5=good (the two-button "Know"), 6=easy.
+ */
+export const GRADES = [[1, "Again"], [3, "Hard"], [5, "Good"], [6, "Easy"]];
+const RELEARN_DAYS = 0.02; // a lapse comes back in ~30 minutes
+const MAX_INTERVAL_DAYS = 36500;
+
+// SM-2 variant (the original scheduler); easy = one more step of ease growth
+function sm2Next(card, grade) {
+  let { ease, interval, reps } = card;
+  if (grade >= 3) {
+    if (reps === 0) interval = 1;
+    else if (reps === 1) interval = 3;
+    else interval = Math.max(1, Math.round(interval * ease));
+    reps += 1;
+    ease = Math.max(1.3, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  } else {
+    reps = 0; interval = RELEARN_DAYS;
+  }
+  return { ease, interval, reps };
+}
+
+// Leitner: box n waits LEITNER_DAYS[n - 1]; good moves up one box, easy two, again back to box 1
+const LEITNER_DAYS = [1, 2, 4, 8, 16, 32, 64];
+function leitnerBoxOf(card) {
+  if (!card.reps) return card.lastGrade ? 1 : 0;
+  const b = LEITNER_DAYS.findIndex(d => d >= card.interval);
+  return b < 0 ? LEITNER_DAYS.length : b + 1;
+}
+function leitnerNext(card, grade) {
+  const from = card.box ?? leitnerBoxOf(card);
+  const box = grade <= 1 ? 1 : Math.min(LEITNER_DAYS.length, Math.max(1, from + (grade >= 6 ? 2 : grade >= 5 ? 1 : 0)));
+  return grade <= 1
+    ? { box, interval: RELEARN_DAYS, reps: 0 }
+    : { box, interval: LEITNER_DAYS[box - 1], reps: card.reps + 1 };
+}
+
+// FSRS-5: memory = { s: stability (days until recall drops to 90%), d: difficulty 1..10 }
+export const FSRS_DEFAULT_W = [
+  0.40255, 1.18385, 3.173, 15.69105, 7.1949, 0.5345, 1.4604, 0.0046, 1.54575, 0.1192,
+  1.01925, 1.9395, 0.11, 0.29605, 2.2698, 0.2315, 2.9898, 0.51655, 0.6621,
+];
+const FSRS_BOUNDS = [
+  [0.01, 100], [0.01, 100], [0.01, 100], [0.01, 100], [1, 10], [0.001, 4], [0.001, 4], [0.001, 0.75], [0, 4.5], [0, 0.8],
+  [0.001, 3.5], [0.001, 5], [0.001, 0.25], [0.001, 0.9], [0, 4], [0, 1], [1, 6], [0, 2], [0, 2],
+];
+const FSRS_DECAY = -0.5, FSRS_FACTOR = 19 / 81;
+export const clampD = (d) => Math.min(10, Math.max(1, d));
+const fsrsRating = (grade) => (grade <= 1 ? 1 : grade <= 3 ? 2 : grade >= 6 ? 4 : 3);
+const retrievability = (days, s) => Math.pow(1 + FSRS_FACTOR * days / s, FSRS_DECAY);
+const fsrsInterval = (s, retention) => (s / FSRS_FACTOR) * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+const fsrsInitD = (w, g) => clampD(w[4] - Math.exp(w[5] * (g - 1)) + 1);
+// SM-2 ease 1.3 … 2.5 … 3.0 ↔ difficulty ~10 … 5 … 3
+const easeFromDifficulty = (d) => Math.round(Math.max(1.3, 2.5 - (d - 5) / 4) * 100) / 100;
+
+/** FSRS memory for a card that has none yet: from its SM-2 / Leitner state (null = never studied) */
+function fsrsMemoryOf(card) {
+  if (card.stability) return { s: card.stability, d: card.difficulty ?? 5 };
+  if (!card.reps && !card.lastGrade) return null;
+  return { s: Math.max(0.1, card.interval || 0), d: clampD(5 - (card.ease - 2.5) * 4) };
+}
+
+/** one review: memory before (null = first) + rating 1-4 + days since the last review → memory after */
+function fsrsStep(w, mem, g, days) {
+  if (!mem) return { s: w[g - 1], d: fsrsInitD(w, g) };
+  const { s, d } = mem;
+  const nd = clampD(w[7] * fsrsInitD(w, 4) + (1 - w[7]) * (d - w[6] * (g - 3) * (10 - d) / 9));
+  let ns;
+  if (days < 1) ns = s * Math.exp(w[17] * (g - 3 + w[18])); // same-day (relearning) review
+  else {
+    const r = retrievability(days, s);
+    ns = g === 1
+      ? Math.min(s, w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)))
+      : s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1)
+        * (g === 2 ? w[15] : 1) * (g === 4 ? w[16] : 1));
+  }
+  return { s: Math.max(0.01, ns), d: nd };
+}
+
+function fsrsNext(card, grade, { w = FSRS_DEFAULT_W, retention = 0.9 }, now) {
+  const g = fsrsRating(grade);
+  const days = card.reviewedAt ? (now - card.reviewedAt) / DAY_MS : 0;
+  const { s, d } = fsrsStep(w, fsrsMemoryOf(card), g, days);
+  return {
+    stability: s, difficulty: d, ease: easeFromDifficulty(d),
+    interval: g === 1 ? RELEARN_DAYS : Math.max(1, Math.round(fsrsInterval(s, retention))),
+    reps: g === 1 ? 0 : card.reps + 1,
+  };
+}
+
+export const SCHEDULERS = {
+  sm2: { label: "SM-2 (classic)", next: sm2Next },
+  leitner: { label: "Leitner boxes", next: leitnerNext },
+  fsrs: { label: "FSRS", next: fsrsNext },
+};
+// per-deck: { algo, w (FSRS weights), retention (FSRS target recall) }
+export const DEFAULT_SCHEDULER = { algo: "sm2", w: FSRS_DEFAULT_W, retention: 0.9 };
+
+export function schedulerFromJson(j) {
+  const w = Array.isArray(j?.w) && j.w.length === FSRS_DEFAULT_W.length && j.w.every(x => Number.isFinite(x)) ? j.w : FSRS_DEFAULT_W;
+  return {
+    algo: SCHEDULERS[j?.algo] ? j.algo : "sm2",
+    w,
+    retention: Math.min(0.99, Math.max(0.7, num(j?.retention, 0.9))),
+  };
+}
+
+export function schedule(card, grade, settings = DEFAULT_SCHEDULER) {
+  const now = Date.now();
+  const next = (SCHEDULERS[settings.algo] || SCHEDULERS.sm2).next(card, grade, settings, now);
+  const interval = Math.min(MAX_INTERVAL_DAYS, next.interval);
+  return { ...card, ...next, interval, due: now + interval * DAY_MS, lastGrade: grade, reviewedAt: now };
+}
+
+/** one direction's state re-expressed for `algo`: FSRS difficulty folds back into ease, then the target's extras are derived */
+function convertState(st, algo) {
+  const { box: _box, stability: _s, difficulty, ...rest } = st;
+  if (difficulty != null) rest.ease = easeFromDifficulty(difficulty);
+  if (algo === "leitner") return { ...rest, box: leitnerBoxOf(rest) };
+  if (algo === "fsrs") {
+    const mem = fsrsMemoryOf(rest);
+    return mem ? { ...rest, stability: mem.s, difficulty: mem.d } : rest;
+  }
+  return rest;
+}
+
+/**
+ * Fit FSRS weights to the review log: coordinate search on the log-loss of predicted recall for
+ * every review at least a day after the previous one of the same card + direction.
+ * → { w, n, before, after } or null with fewer than FSRS_FIT_MIN such reviews.
+ */
+export const FSRS_FIT_MIN = 100;
+export function fitFsrs(log, w0 = FSRS_DEFAULT_W) {
+  const seqs = new Map();
+  [...log].sort((a, b) => a.ts - b.ts).forEach(e => {
+    const k = viewKey(e.cardId, e.dir);
+    if (!seqs.has(k)) seqs.set(k, []);
+    seqs.get(k).push(e);
+  });
+  const items = [...seqs.values()].filter(seq => seq.length > 1);
+  const lossOf = (w) => {
+    let sum = 0, n = 0;
+    for (const seq of items) {
+      let mem = null, last = 0;
+      for (const e of seq) {
+        const g = fsrsRating(e.grade);
+        const days = mem ? (e.ts - last) / DAY_MS : 0;
+        if (mem && days >= 1) {
+          const p = Math.min(0.9999, Math.max(0.0001, retrievability(days, mem.s)));
+          sum -= g > 1 ? Math.log(p) : Math.log(1 - p);
+          n++;
+        }
+        mem = fsrsStep(w, mem, g, days);
+        last = e.ts;
+      }
+    }
+    return { loss: n ? sum / n : 0, n };
+  };
+  const start = lossOf(w0);
+  if (start.n < FSRS_FIT_MIN) return null;
+  let w = [...w0], best = start.loss;
+  for (let step = 0.5; step > 0.01; step /= 2) {
+    for (let i = 0; i < w.length; i++) {
+      const [lo, hi] = FSRS_BOUNDS[i];
+      for (const sign of [1, -1]) {
+        const c = [...w];
+        // initial stabilities move on a log scale, the rest by a share of their range
+        c[i] = Math.min(hi, Math.max(lo, i < 4 ? w[i] * Math.exp(sign * step) : w[i] + sign * step * (hi - lo) / 4));
+        const l = lossOf(c).loss;
+        if (l < best) { best = l; w = c; break; }
+      }
+    }
+  }
+  const round = (x) => Math.round(x * 10000) / 10000;
+  return { w: w.map(round), n: start.n, before: round(start.loss), after: round(best) };
+}
+
+/** ------- card directions -------
+ * forward = front→back, scheduled on the card itself; reverse = back→front, scheduled in `card.rev`.
+ * A "view" is one card in one direction: { key, id, dir }.
+ */
+export const DIRECTIONS = [["forward", "Front → Back"], ["reverse", "Back → Front"], ["both", "Both"]];
+export const SCHED_FIELDS = ["ease", "interval", "reps", "due", "lastGrade", "reviewedAt", "box", "stability", "difficulty"];
+export const dirsOf = (direction) => (direction === "both" ? ["forward", "reverse"] : [direction === "reverse" ? "reverse" : "forward"]);
+export const viewKey = (id, dir) => (dir === "reverse" ? `${id}~r` : String(id));
+
+/** the card with `dir`'s scheduling state on top (reverse starts unseen and due) */
+export function dirState(card, dir) {
+  if (dir !== "reverse") return card;
+  return {
+    ...card, ease: 2.5, interval: 0, reps: 0, due: card.createdAt ?? 0, lastGrade: 0, reviewedAt: null,
+    box: undefined, stability: undefined, difficulty: undefined, ...card.rev,
+  };
+}
+const revOf = (st) => Object.fromEntries(SCHED_FIELDS.filter(k => st[k] !== undefined).map(k => [k, st[k]]));
+export function scheduleDir(card, dir, grade, settings) {
+  const next = schedule(dirState(card, dir), grade, settings);
+  if (dir !== "reverse") return next;
+  return { ...card, rev: revOf(next) };
+}
+/** both directions of a card converted for a deck switching to `algo` */
+export function convertCard(card, algo) {
+  const fwd = convertState(card, algo);
+  return card.rev ? { ...fwd, rev: revOf(convertState(dirState(card, "reverse"), algo)) } : fwd;
+}
+/** ------- daily limits -------
+ * Per deck: { newPerDay, reviewsPerDay, dayStartHour }. A study day runs from dayStartHour (local)
+ * to the same hour tomorrow. "New" = a card + direction never graded (interval 0).
+ */
+export const DEFAULT_LIMITS = { newPerDay: 20, reviewsPerDay: 200, dayStartHour: 4 };
+export function limitsFromJson(j) {
+  const int = (v, f, hi) => Math.min(hi, Math.max(0, Math.round(num(v, f))));
+  return {
+    newPerDay: int(j?.newPerDay, DEFAULT_LIMITS.newPerDay, 9999),
+    reviewsPerDay: int(j?.reviewsPerDay, DEFAULT_LIMITS.reviewsPerDay, 99999),
+    dayStartHour: int(j?.dayStartHour, DEFAULT_LIMITS.dayStartHour, 23),
+  };
+}
+export const isNewView = (v) => !v.s.interval;
+
+/** start of the study day that contains `ts` */
+export function studyDayStart(ts, hour = 0) {
+  const d = new Date(ts);
+  d.setHours(hour, 0, 0, 0);
+  if (d.getTime() > ts) d.setDate(d.getDate() - 1);
+  return d.getTime();
+}
+
+/**
+ * new cards introduced / reviews done in Study since `since` (a first grade has prevInterval 0).
+ * Quiz / multiple-choice / pronunciation grades still schedule cards but don't use up the daily limits;
+ * entries logged before `mode` existed were all Study.
+ */
+export function dayProgress(log, since) {
+  let newDone = 0, reviewsDone = 0;
+  for (let k = log.length - 1; k >= 0 && log[k].ts >= since; k--) {
+    if ((log[k].mode ?? "study") !== "study") continue;
+    if (log[k].prevInterval) reviewsDone++; else newDone++;
+  }
+  return { newDone, reviewsDone };
+}
+
+/** spread `fresh` evenly through `reviews` */
+export function interleave(reviews, fresh) {
+  if (!reviews.length || !fresh.length) return [...reviews, ...fresh];
+  const gap = (reviews.length + fresh.length) / fresh.length;
+  const out = [];
+  for (let r = 0, f = 0; r < reviews.length || f < fresh.length;) {
+    out.push(f < fresh.length && (r >= reviews.length || out.length + 1 >= (f + 1) * gap) ? fresh[f++] : reviews[r++]);
+  }
+  return out;
+}
+
+/** seen but not (yet) known: Hard, or a lapse from the Due queue */
+export const isHard = (c) => c.lastGrade > 0 && c.lastGrade < 5;
+
+/** siblings of notes reviewed today — buried (skipped in due queues) until tomorrow */
+export function buriedIds(cards, log, now = Date.now(), dayStartHour = 0) {
+  const since = studyDayStart(now, dayStartHour);
+  const noteOf = new Map(cards.filter(c => c.noteId).map(c => [c.id, c.noteId]));
+  const reviewed = new Map(); // noteId → ids reviewed today
+  for (let k = log.length - 1; k >= 0 && log[k].ts >= since; k--) {
+    const note = noteOf.get(log[k].cardId);
+    if (note) reviewed.set(note, (reviewed.get(note) || new Set()).add(log[k].cardId));
+  }
+  return new Set(cards.filter(c => reviewed.get(c.noteId) && !reviewed.get(c.noteId).has(c.id)).map(c => c.id));
+}
@@ -0,0 +1,117 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { parseDeck } from "./deck.js";
+import {
+  DAY_MS, convertCard, dayProgress, dirState, fitFsrs, interleave, schedule, scheduleDir, studyDayStart,
+} from "./scheduler.js";
+
+const T0 = new Date(2025, 0, 10, 12).getTime();
+const card = () => parseDeck("abate,减弱")[0];
+// grade a card `grades.length` times, each review on its due date
+function run(c, grades, settings) {
+  for (const g of grades) {
+    vi.setSystemTime(Math.max(Date.now(), c.due));
+    c = schedule(c, g, settings);
+  }
+  return c;
+}
+
+describe("SM-2", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("steps intervals 1 → 3 → interval × ease", () => {
+    vi.useFakeTimers({ now: T0 });
+    const seen = [];
+    let c = card();
+    for (let k = 0; k < 4; k++) { c = run(c, [5]); seen.push(c.interval); }
+    expect(seen).toEqual([1, 3, 8, 22]);
+    expect(c.reps).toBe(4);
+    expect(c.due).toBe(Date.now() + 22 * DAY_MS);
+  });
+
+  it("lowers ease on hard, raises it on easy, never below 1.3", () => {
+    vi.useFakeTimers({ now: T0 });
+    expect(run(card(), [3]).ease).toBeCloseTo(2.36);
+    expect(run(card(), [6]).ease).toBeCloseTo(2.66);
+    expect(run(card(), Array(20).fill(3)).ease).toBe(1.3);
+  });
+
+  it("sends a lapse back to relearning with reps reset", () => {
+    vi.useFakeTimers({ now: T0 });
+    const c = run(card(), [5, 5, 1]);
+    expect(c).toMatchObject({ reps: 0, lastGrade: 1 });
+    expect(c.interval).toBeLessThan(1);
+  });
+});
+
+describe("Leitner and FSRS", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("moves Leitner boxes up on good / easy and back to 1 on again", () => {
+    vi.useFakeTimers({ now: T0 });
+    const leitner = { algo: "leitner" };
+    expect(run(card(), [5, 5], leitner)).toMatchObject({ box: 2, interval: 2 });
+    expect(run(card(), [6, 6], leitner)).toMatchObject({ box: 4, interval: 8 });
+    expect(run(card(), [5, 5, 1], leitner).box).toBe(1);
+  });
+
+  it("grows FSRS intervals on success and keeps difficulty in 1..10", () => {
+    vi.useFakeTimers({ now: T0 });
+    const fsrs = { algo: "fsrs", retention: 0.9 };
+    const a = run(card(), [5], fsrs), b = run(a, [5], fsrs), c = run(b, [5], fsrs);
+    expect(a.interval).toBeLessThan(b.interval);
+    expect(b.interval).toBeLessThan(c.interval);
+    expect(c.difficulty).toBeGreaterThanOrEqual(1);
+    expect(c.difficulty).toBeLessThanOrEqual(10);
+  });
+
+  it("converts state between algorithms without losing the schedule", () => {
+    vi.useFakeTimers({ now: T0 });
+    const c = run(card(), [5, 5, 5]);
+    const fsrs = convertCard(c, "fsrs");
+    expect(fsrs.stability).toBe(c.interval);
+    const back = convertCard(fsrs, "sm2");
+    expect(back).not.toHaveProperty("stability");
+    expect(back.interval).toBe(c.interval);
+  });
+
+  it("needs enough reviews before fitting FSRS weights", () => {
+    expect(fitFsrs([{ cardId: "a", dir: "forward", ts: 0, grade: 5 }])).toBeNull();
+  });
+});
+
+describe("directions", () => {
+  it("schedules back→front in `rev` and leaves the front side alone", () => {
+    const c = card();
+    const next = scheduleDir(c, "reverse", 5);
+    expect(next.interval).toBe(c.interval);
+    expect(next.rev).toMatchObject({ interval: 1, reps: 1, lastGrade: 5 });
+    expect(dirState(next, "reverse").interval).toBe(1);
+    expect(dirState(c, "reverse")).toMatchObject({ interval: 0, lastGrade: 0 });
+  });
+});
+
+describe("daily limits", () => {
+  it("starts the study day at the configured hour", () => {
+    const at = (h, m = 0) => new Date(2025, 0, 10, h, m).getTime();
+    expect(studyDayStart(at(12), 4)).toBe(at(4));
+    expect(studyDayStart(at(3, 59), 4)).toBe(new Date(2025, 0, 9, 4).getTime());
+  });
+
+  it("counts first grades as new and the rest as reviews", () => {
+    const log = [{ ts: 1, prevInterval: 0 }, { ts: 10, prevInterval: 0 }, { ts: 11, prevInterval: 3 }, { ts: 12, prevInterval: 1 }];
+    expect(dayProgress(log, 10)).toEqual({ newDone: 1, reviewsDone: 2 });
+  });
+
+  it("counts only Study grades towards the daily limits", () => {
+    const log = [
+      { ts: 10, prevInterval: 0, mode: "study" }, { ts: 11, prevInterval: 2 },
+      { ts: 12, prevInterval: 0, mode: "choice" }, { ts: 13, prevInterval: 4, mode: "quiz" }, { ts: 14, prevInterval: 4, mode: "pronounce" },
+    ];
+    expect(dayProgress(log, 10)).toEqual({ newDone: 1, reviewsDone: 1 });
+  });
+
+  it("spreads new cards evenly through reviews", () => {
+    expect(interleave([1, 2, 3, 4], ["a", "b"])).toEqual([1, 2, "a", 3, 4, "b"]);
+    expect(interleave([], ["a"])).toEqual(["a"]);
+  });
+});
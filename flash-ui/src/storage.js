@@ -0,0 +1,66 @@
+/**
+ * Persistence in the browser: small settings in localStorage, decks and Test-mode takes in IndexedDB.
+ */
+
+export const save = (k, v) => { try { localStorage.setItem(k, JSON.stringify(v)); } catch {} };
+export const load = (k, f) => { try { return JSON.parse(localStorage.getItem(k)) ?? f; } catch { return f; } };
+
+/** ------- local deck store (IndexedDB) -------
+ * decks:      { name, cards, queue, direction, log, scheduler, limits, description?, source?, updatedAt } — every local deck keeps its own progress
+ * recordings: { deck, id, blob, recordedAt, gradedAt? } — the latest Test-mode take per test item;
+ *             `gradedAt` once its result went into the card's history, so a reviewed take isn't counted twice
+ * The open deck's name stays in localStorage ("deck_name"); switching decks fires "cardsjson:loaded".
+ */
+const DB_NAME = "flash-coach";
+const DB_VERSION = 1;
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("decks")) db.createObjectStore("decks", { keyPath: "name" });
+      if (!db.objectStoreNames.contains("recordings")) {
+        db.createObjectStore("recordings", { keyPath: ["deck", "id"] }).createIndex("deck", "deck");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// run one request in its own transaction; resolves with its result once committed
+async function idb(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const getDeck = (name) => idb("decks", "readonly", s => s.get(name));
+export const putDeck = (deck) => idb("decks", "readwrite", s => s.put({ ...deck, updatedAt: Date.now() }));
+export const listDeckNames = () => idb("decks", "readonly", s => s.getAllKeys());
+export const deckRecordings = (deck) => idb("recordings", "readonly", s => s.index("deck").getAll(deck));
+export const putRecording = (deck, id, blob) => idb("recordings", "readwrite", s => s.put({ deck, id, blob, recordedAt: Date.now() }));
+export const markRecordingsGraded = (deck, ids) => idb("recordings", "readwrite", s => {
+  const req = s.index("deck").openCursor(deck);
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) return;
+    if (ids.includes(cur.value.id)) cur.update({ ...cur.value, gradedAt: Date.now() });
+    cur.continue();
+  };
+  return req;
+});
+// [deck] ≤ [deck, anyId] ≤ [deck, []] — arrays sort after strings and numbers
+export const clearRecordings = (deck) => idb("recordings", "readwrite", s => s.delete(IDBKeyRange.bound([deck], [deck, []])));
+export async function deleteDeck(name) {
+  await clearRecordings(name);
+  await idb("decks", "readwrite", s => s.delete(name));
+}
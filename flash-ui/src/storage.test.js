@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { deckFromJson, deckToJson, parseDeck } from "./deck.js";
+import { deleteDeck, getDeck, listDeckNames, load, putDeck, save } from "./storage.js";
+
+describe("localStorage settings", () => {
+  it("round-trips JSON and falls back on missing or corrupt values", () => {
+    save("k", { a: [1, 2] });
+    expect(load("k", null)).toEqual({ a: [1, 2] });
+    expect(load("missing", 7)).toBe(7);
+    localStorage.setItem("bad", "{nope");
+    expect(load("bad", "f")).toBe("f");
+  });
+});
+
+describe("IndexedDB deck store", () => {
+  it("keeps a deck imported from JSON intact through save and load", async () => {
+    const cards = parseDeck("abate,减弱\n\"{{c1::Paris}} is in France\",capital");
+    const deck = deckFromJson(JSON.parse(JSON.stringify(deckToJson(cards, "store-test", { direction: "both" }))), "store-test");
+    await putDeck(deck);
+    const back = await getDeck("store-test");
+    expect(back).toMatchObject({ ...deck, updatedAt: expect.any(Number) });
+    expect(deckToJson(back.cards, "store-test").cards).toEqual(deckToJson(cards, "store-test").cards);
+    expect(await listDeckNames()).toContain("store-test");
+
+    await deleteDeck("store-test");
+    expect(await getDeck("store-test")).toBeUndefined();
+  });
+});
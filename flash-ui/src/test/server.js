@@ -0,0 +1,22 @@
+// mock /fcasset/api/* (and the bundled cards.json); tests add their own handlers with server.use()
+import { http, HttpResponse } from "msw";
+import { setupServer } from "msw/node";
+
+export const API = "/fcasset/api";
+
+/** a v2 deck file with `fronts` as terms (meaning = "<front> meaning") */
+export const deckFile = (name, fronts) => ({
+  version: 2,
+  name,
+  cards: fronts.map((term, i) => ({ id: `c${i + 1}`, term, meaning: `${term} meaning` })),
+});
+
+export const server = setupServer(
+  http.get("/fcasset/cards.json", () => new HttpResponse(null, { status: 404 })),
+  http.get(`${API}/cards/list`, () => HttpResponse.json({ files: ["words.json"] })),
+  http.get(`${API}/cards`, ({ request }) => {
+    const name = new URL(request.url).searchParams.get("name") || "cards";
+    return HttpResponse.json(deckFile(name, ["alpha", "beta"]), { headers: { ETag: '"rev1"' } });
+  }),
+  http.put(`${API}/cards`, () => HttpResponse.json({ ok: true, rev: "rev2" }, { headers: { ETag: '"rev2"' } })),
+);
@@ -0,0 +1,24 @@
+// per-test environment: jest-dom matchers, an in-memory IndexedDB and the mock backend
+import "@testing-library/jest-dom/vitest";
+import "fake-indexeddb/auto";
+import { cleanup } from "@testing-library/react";
+import { afterAll, afterEach, beforeAll, vi } from "vitest";
+import { server } from "./server.js";
+
+// fake-indexeddb stores structuredClone()s, and Node's clone turns jsdom Blobs (Test-mode takes) into {}:
+// hand Blobs through by reference like a browser's IndexedDB hands back an equal one
+const nativeClone = globalThis.structuredClone;
+const withBlobs = (v, fn) => (v instanceof Blob ? v
+  : Array.isArray(v) ? v.map(x => withBlobs(x, fn))
+    : v && Object.getPrototypeOf(v) === Object.prototype ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, withBlobs(x, fn)]))
+      : fn(v));
+globalThis.structuredClone = (v, opts) => withBlobs(v, x => nativeClone(x, opts));
+
+beforeAll(() => server.listen({ onUnhandledRequest: "error" }));
+afterEach(() => {
+  cleanup();
+  server.resetHandlers();
+  localStorage.clear();
+  vi.restoreAllMocks();
+});
+afterAll(() => server.close());
@@ -1,7 +1,51 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig(({ mode }) => ({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // service worker + manifest; scope and start_url follow `base`
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['vite.svg'],
+      manifest: {
+        name: 'Flash Coach',
+        short_name: 'Flash Coach',
+        description: 'Flash cards you can practice like with a human coach',
+        theme_color: '#171717',
+        background_color: '#f5f5f5',
+        display: 'standalone',
+        icons: [{ src: 'vite.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,wasm,woff2}'], // woff2: KaTeX fonts
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024, // sql.js wasm (Anki import)
+        navigateFallbackDenylist: [/\/api\//],
+        runtimeCaching: [
+          // decks, library, progress + bundled cards.json: fresh when online, last copy when offline
+          {
+            urlPattern: ({ url, request }) => request.method === 'GET'
+              && (/\/api\/(cards(\/list)?|library|progress)$/.test(url.pathname) || url.pathname.endsWith('/cards.json')),
+            handler: 'NetworkFirst',
+            options: { cacheName: 'fcasset-decks', networkTimeoutSeconds: 5 },
+          },
+          // card images / audio: content-hashed names, so the cached copy is always right
+          {
+            urlPattern: ({ url, request }) => request.method === 'GET' && url.pathname.includes('/api/media/'),
+            handler: 'CacheFirst',
+            options: { cacheName: 'fcasset-media', expiration: { maxEntries: 500 } },
+          },
+        ],
+      },
+    }),
+  ],
   base: mode === 'production' ? '/fcasset/' : '/',
+  // `npm test`: Vitest + React Testing Library in jsdom; IndexedDB and the backend are faked in src/test/
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    // Vitest always serves from "/": point the app at the deployed API paths the mocks expect
+    env: { BASE_URL: '/fcasset/', VITE_API_BASE: '/fcasset/api/' },
+  },
 }))